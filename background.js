@@ -0,0 +1,1824 @@
+// Background service worker for Snapp Express Basket Helper
+// Owns the stored search context and the search pipeline, so a list can be
+// run from the popup on any tab, a keyboard shortcut or the omnibox. Results
+// are shown in the overlay of an open Snapp Express tab, or by the popup itself.
+
+importScripts('common.js', 'listFormats.js');
+
+const CART_API_URL = 'https://api.snapp.express/mobile/v2/cart/products';
+
+// chrome.storage.session key for the session captured from the site's API requests
+const SESSION_CONTEXT_STORAGE_KEY = 'sessionContext';
+
+// A stored context older than this is not used (app version and session fields go stale)
+const SEARCH_CONTEXT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Search API returns at most this many vendors per page
+const SEARCH_PAGE_SIZE = 20;
+
+// Stores considered when searching three-store split baskets (keeps the search cubic in a small number)
+const SPLIT_TRIPLE_CANDIDATE_LIMIT = 40;
+
+// How many result pages to walk per query unless the popup asks otherwise
+const DEFAULT_MAX_SEARCH_PAGES = 3;
+const MAX_SEARCH_PAGES_LIMIT = 10;
+
+// Price observations older than this are dropped from the history
+const PRICE_HISTORY_MAX_DAYS = 90;
+
+// Each product's observed prices are stored under this prefix and its history key
+// (vendorId:productId) as [{ date, price, discount }], one entry per day, oldest first
+const PRICE_HISTORY_KEY_PREFIX = 'priceHistory:';
+
+// A price this much under the usual one counts as a drop worth a notification
+const PRICE_DROP_RATIO = 0.1;
+
+// chrome.storage.local keys of cached search pages start with this prefix
+const SEARCH_CACHE_KEY_PREFIX = 'searchCache:';
+
+// How long a cached search page is reused unless the popup asks otherwise; 0 turns the cache off
+const DEFAULT_SEARCH_CACHE_TTL_MINUTES = 10;
+const MAX_SEARCH_CACHE_TTL_MINUTES = 24 * 60;
+
+// API calls in flight at once; more than this and the site starts answering 429
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Retries for 429/5xx and network errors, backing off exponentially between attempts
+const MAX_REQUEST_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+
+// A server's Retry-After is waited out as sent; a request told to wait longer is given up
+const RETRY_AFTER_MAX_MS = 60000;
+
+const SNAPP_EXPRESS_URL = 'https://express.snapp.market';
+
+// chrome.storage key for the items and options of the last list searched, which the
+// keyboard shortcut runs again
+const LAST_LIST_SEARCH_STORAGE_KEY = 'lastListSearch';
+
+const ADD_SELECTION_MENU_ID = 'addSelectionToList';
+const RUN_LAST_LIST_COMMAND = 'run-last-list';
+
+// Id of the notification that reports the outcome of the context menu, shortcut and omnibox
+const NOTICE_NOTIFICATION_ID = 'notice';
+
+// How long the omnibox waits for a Snapp Express tab it opened before searching anyway
+const TAB_LOAD_TIMEOUT_MS = 30000;
+
+// Alarm that re-runs the watched lists in the background
+const WATCH_ALARM_NAME = 'watchLists';
+const WATCH_INTERVAL_MINUTES = 30;
+
+// Watch notification ids are `${prefix}${listId}:${kind}:${vendorCode}`, so a click can open the store
+const WATCH_NOTIFICATION_PREFIX = 'watch:';
+
+const SEARCH_CONTEXT_MISSING_MESSAGE = 'لطفاً ابتدا یک محصول را در سایت جستجو کنید تا افزونه راه‌اندازی شود.';
+
+const SEARCH_CANCELLED_MESSAGE = 'جستجو لغو شد.';
+
+const EMPTY_SEARCH_CONTEXT = {
+  lat: null,
+  long: null,
+  pro_discount: null,
+  pro_client: null,
+  client: null,
+  deviceType: null,
+  appVersion: null,
+  UDID: null
+};
+
+// Context updates are read-modify-write on storage, so run them one at a time
+let searchContextUpdates = Promise.resolve();
+
+// Price history updates are read-modify-write on one storage key, so run them one at a time
+let priceHistoryUpdates = Promise.resolve();
+
+// Products added from the site's pages are written into the saved lists one at a time
+let listUpdates = Promise.resolve();
+
+// The search in progress, so CANCEL_SEARCH or a new search can abort its requests
+let activeSearch = null;
+let lastSearchId = 0;
+
+// Items and search results of the last run, so its failed items can be retried alone.
+// Lost when the worker is stopped; a retry then searches the whole list again.
+let lastSearchRun = null;
+
+function isSearchContextInitialized(context) {
+  return Boolean(context) &&
+         context.lat !== null &&
+         context.long !== null &&
+         context.UDID !== null;
+}
+
+async function getSearchContext() {
+  const stored = (await chrome.storage.local.get(SEARCH_CONTEXT_STORAGE_KEY))[SEARCH_CONTEXT_STORAGE_KEY];
+
+  if (!stored) {
+    return { ...EMPTY_SEARCH_CONTEXT };
+  }
+
+  if (!stored.updatedAt || Date.now() - stored.updatedAt > SEARCH_CONTEXT_MAX_AGE_MS) {
+    await chrome.storage.local.remove(SEARCH_CONTEXT_STORAGE_KEY);
+    return { ...EMPTY_SEARCH_CONTEXT };
+  }
+
+  const { updatedAt, ...context } = stored;
+  return { ...EMPTY_SEARCH_CONTEXT, ...context };
+}
+
+// Merges values the page interceptor reported into the stored context.
+// A new location simply replaces the stored one.
+function updateSearchContext(payload) {
+  searchContextUpdates = searchContextUpdates.then(async () => {
+    const current = await getSearchContext();
+    const hasChanges = Object.keys(EMPTY_SEARCH_CONTEXT).some(key =>
+      payload[key] != null && current[key] !== payload[key]
+    );
+
+    if (!hasChanges) {
+      return;
+    }
+
+    const updated = {};
+    Object.keys(EMPTY_SEARCH_CONTEXT).forEach(key => {
+      updated[key] = payload[key] != null ? payload[key] : current[key];
+    });
+
+    await chrome.storage.local.set({
+      [SEARCH_CONTEXT_STORAGE_KEY]: { ...updated, updatedAt: Date.now() }
+    });
+    console.log('Snapp Extension: Updated search context:', updated);
+  }).catch(error => {
+    console.error('Snapp Extension: Error saving search context:', error);
+  });
+
+  return searchContextUpdates;
+}
+
+async function getSessionContext() {
+  const stored = await chrome.storage.session.get(SESSION_CONTEXT_STORAGE_KEY);
+  return stored[SESSION_CONTEXT_STORAGE_KEY] || { authorization: null };
+}
+
+async function updateSessionContext({ authorization }) {
+  if (!authorization) {
+    return;
+  }
+  await chrome.storage.session.set({ [SESSION_CONTEXT_STORAGE_KEY]: { authorization } });
+}
+
+// Runs async tasks with at most `limit` of them in flight; the rest wait their turn
+function createRequestQueue(limit) {
+  let active = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= limit || waiting.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
+const requestQueue = createRequestQueue(MAX_CONCURRENT_REQUESTS);
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Delay before the next attempt, or null if the server asks for a longer wait than is worth it
+function getRetryDelay(attempt, response) {
+  const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+  if (retryAfter !== null) {
+    return retryAfter <= RETRY_AFTER_MAX_MS ? retryAfter : null;
+  }
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` is aborted
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// fetch through the request queue, retrying 429/5xx and network errors.
+// The queue slot is given up while waiting, so a backed-off request doesn't hold others back.
+// onStart is called whenever an attempt leaves the queue; an aborted init.signal is never retried.
+async function fetchWithRetry(url, init, onStart) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await requestQueue.run(() => {
+        init.signal?.throwIfAborted();
+        onStart?.();
+        return fetch(url, init);
+      });
+    } catch (error) {
+      if (init.signal?.aborted || attempt >= MAX_REQUEST_RETRIES) {
+        throw error;
+      }
+      await wait(getRetryDelay(attempt, null), init.signal);
+      continue;
+    }
+
+    if (response.ok || !isRetryableStatus(response.status) || attempt >= MAX_REQUEST_RETRIES) {
+      return response;
+    }
+
+    const delay = getRetryDelay(attempt, response);
+    if (delay === null) {
+      console.warn(`API request got ${response.status} with a Retry-After too long to wait for, giving up`);
+      return response;
+    }
+
+    console.warn(`API request got ${response.status}, retrying (${attempt + 1}/${MAX_REQUEST_RETRIES})`);
+    await wait(delay, init.signal);
+  }
+}
+
+async function searchProduct(query, context, page = 0, { signal, onStart } = {}) {
+  const baseUrl = 'https://api.snapp.express/mobile/v3/search';
+  
+  // Validate required parameters
+  if (!context || !context.lat || !context.long || !context.pro_discount) {
+    throw new Error('Search context not initialized. Please search for an item on the website first.');
+  }
+  
+  const params = new URLSearchParams({
+    query: query,
+    superType: '[4]',
+    new_design: '0',
+    lat: context.lat.toString(),
+    long: context.long.toString(),
+    new_search: '1',
+    page: page.toString(),
+    pro_client: context.pro_client,
+    pro_discount: context.pro_discount.toString(),
+    size: SEARCH_PAGE_SIZE.toString(),
+    source: '2',
+    client: context.client,
+    deviceType: context.deviceType,
+    appVersion: context.appVersion,
+    UDID: context.UDID
+  });
+
+  const url = `${baseUrl}?${params.toString()}`;
+
+  try {
+    const response = await fetchWithRetry(url, {
+      method: 'GET',
+      credentials: 'include',
+      signal: signal,
+      headers: {
+        'accept': 'application/json, text/plain, */*'
+      }
+    }, onStart);
+
+    if (!response.ok) {
+      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error(`Error searching for product "${query}":`, error);
+    }
+    throw error;
+  }
+}
+
+async function addProductToCart(vendorCode, product, quantity, context, session) {
+  if (!isSearchContextInitialized(context)) {
+    throw new Error('Search context not initialized. Please search for an item on the website first.');
+  }
+
+  const params = new URLSearchParams({
+    lat: context.lat.toString(),
+    long: context.long.toString(),
+    client: context.client,
+    deviceType: context.deviceType,
+    appVersion: context.appVersion,
+    UDID: context.UDID
+  });
+
+  const headers = {
+    'accept': 'application/json, text/plain, */*',
+    'content-type': 'application/json'
+  };
+  if (session.authorization) {
+    headers['authorization'] = session.authorization;
+  }
+
+  const response = await fetch(`${CART_API_URL}?${params.toString()}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: headers,
+    body: JSON.stringify({
+      vendorCode: vendorCode,
+      productVariationId: product.id,
+      quantity: quantity
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+// Adds every matched product of a vendor card to that vendor's cart, one at a time
+// so the site's cart isn't updated concurrently. Failures are collected per item.
+async function addBasketToCart(vendor) {
+  const added = [];
+  const failed = [];
+  const context = await getSearchContext();
+  const session = await getSessionContext();
+
+  for (const { name, quantity, product } of vendor.matchedProducts) {
+    if (!product || product.id == null) {
+      failed.push({ name, error: 'محصول مشخص نیست' });
+      continue;
+    }
+
+    try {
+      await addProductToCart(vendor.code, product, quantity, context, session);
+      added.push(name);
+    } catch (error) {
+      console.error(`Failed to add "${name}" to cart:`, error);
+      failed.push({ name, error: error.message });
+    }
+  }
+
+  return { added, failed };
+}
+
+function extractVendors(apiResponse) {
+  try {
+    const items = apiResponse?.data?.vendor_product_variations?.items || [];
+    return items;
+  } catch (error) {
+    console.error('Error extracting vendors:', error);
+    return [];
+  }
+}
+
+function normalizeMaxPages(maxPages) {
+  const value = parseInt(maxPages, 10);
+  if (!Number.isFinite(value) || value < 1) {
+    return DEFAULT_MAX_SEARCH_PAGES;
+  }
+  return Math.min(value, MAX_SEARCH_PAGES_LIMIT);
+}
+
+function normalizeCacheTtlMs(minutes) {
+  const parsed = parseInt(minutes, 10);
+  const ttl = Number.isFinite(parsed) ? parsed : DEFAULT_SEARCH_CACHE_TTL_MINUTES;
+  return Math.min(Math.max(ttl, 0), MAX_SEARCH_CACHE_TTL_MINUTES) * 60 * 1000;
+}
+
+// Search results depend on the location and the PRO flags as well as the query
+function getSearchCacheKey(query, context, page) {
+  return SEARCH_CACHE_KEY_PREFIX + JSON.stringify([
+    query, page, context.lat, context.long, context.pro_discount, context.pro_client
+  ]);
+}
+
+// Vendors of one result page, from the cache when a fresh enough copy is stored.
+// forceRefresh skips the cached copy but still stores the new one.
+async function searchProductPage(query, context, page, { cacheTtlMs = 0, forceRefresh = false, ...requestOptions } = {}) {
+  const key = getSearchCacheKey(query, context, page);
+
+  if (cacheTtlMs > 0 && !forceRefresh) {
+    const { [key]: entry } = await chrome.storage.local.get(key);
+    if (entry && Date.now() - entry.savedAt < cacheTtlMs) {
+      return entry.vendors;
+    }
+  }
+
+  const vendors = extractVendors(await searchProduct(query, context, page, requestOptions));
+
+  if (cacheTtlMs > 0) {
+    try {
+      await chrome.storage.local.set({ [key]: { savedAt: Date.now(), vendors: vendors } });
+    } catch (error) {
+      // A full storage quota only costs us the cache
+      console.warn('Snapp Extension: Could not cache search results:', error);
+    }
+  }
+
+  return vendors;
+}
+
+// Removes cached pages older than any TTL could ask for, or every page if `all` is set.
+// Only the cache entries are read, not the rest of storage (lists, price history...)
+async function pruneSearchCache(all = false) {
+  const cacheKeys = (await chrome.storage.local.getKeys()).filter(key => key.startsWith(SEARCH_CACHE_KEY_PREFIX));
+  let keys = cacheKeys;
+  if (!all && cacheKeys.length > 0) {
+    const stored = await chrome.storage.local.get(cacheKeys);
+    const maxAge = MAX_SEARCH_CACHE_TTL_MINUTES * 60 * 1000;
+    keys = cacheKeys.filter(key => !(Date.now() - stored[key].savedAt < maxAge));
+  }
+
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+  return keys.length;
+}
+
+// Adds vendors to vendorsById (vendorId -> vendor); a vendor already there gets the
+// products it doesn't have yet, so the stored vendors are copies with their own product lists
+function mergeVendorProducts(vendorsById, vendors) {
+  vendors.forEach(vendor => {
+    const existing = vendorsById.get(vendor.id);
+    if (!existing) {
+      vendorsById.set(vendor.id, { ...vendor, products: [...(vendor.products || [])] });
+      return;
+    }
+
+    const knownProductIds = new Set(existing.products.map(product => product.id));
+    (vendor.products || []).forEach(product => {
+      if (!knownProductIds.has(product.id)) {
+        existing.products.push(product);
+      }
+    });
+  });
+  return vendorsById;
+}
+
+// Walks result pages for a query and merges vendors that appear on several pages
+async function searchProductAllPages(query, context, maxPages = DEFAULT_MAX_SEARCH_PAGES, requestOptions = {}) {
+  // vendorId -> vendor with products merged across pages
+  const vendorsById = new Map();
+
+  for (let page = 0; page < maxPages; page++) {
+    const vendors = await searchProductPage(query, context, page, requestOptions);
+    mergeVendorProducts(vendorsById, vendors);
+
+    // A short page means there is nothing more to fetch
+    if (vendors.length < SEARCH_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return Array.from(vendorsById.values());
+}
+
+function normalizeMaxMissing(maxMissing) {
+  const value = parseInt(maxMissing, 10);
+  if (!Number.isFinite(value) || value < 0) {
+    return 0;
+  }
+  return value;
+}
+
+function splitKeywords(text) {
+  const words = Array.isArray(text) ? text : String(text || '').split(/[,،]/);
+  return words.map(word => normalizePersianText(word)).filter(Boolean);
+}
+
+// A price typed with thousands separators ("50,000", "۵۰٬۰۰۰"); null unless the rest is a whole number
+function parsePriceInput(value) {
+  const text = toLatinDigits(value ?? '').replace(/[,٬،\s]/g, '');
+  return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+// Keeps only the constraint fields that are actually set
+function normalizeConstraints(constraints) {
+  if (!constraints || typeof constraints !== 'object') {
+    return null;
+  }
+
+  const normalized = {};
+  const brand = typeof constraints.brand === 'string' ? normalizePersianText(constraints.brand) : '';
+  const minSize = parseSize(constraints.minSize);
+  const maxSize = parseSize(constraints.maxSize);
+  const maxPrice = parsePriceInput(constraints.maxPrice);
+  const exclude = splitKeywords(constraints.exclude);
+
+  if (brand) normalized.brand = brand;
+  if (minSize) normalized.minSize = minSize;
+  if (maxSize) normalized.maxSize = maxSize;
+  if (maxPrice > 0) normalized.maxPrice = maxPrice;
+  if (exclude.length > 0) normalized.exclude = exclude;
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function getProductSearchText(product) {
+  const text = [product.title, product.brand?.title, product.brand_title]
+    .filter(Boolean)
+    .join(' ');
+  return normalizePersianText(text).toLowerCase();
+}
+
+// A product with no readable size can't be shown to satisfy a size constraint
+function productMeetsConstraints(product, constraints) {
+  if (!constraints) {
+    return true;
+  }
+
+  const text = getProductSearchText(product);
+
+  if (constraints.brand && !text.includes(constraints.brand.toLowerCase())) {
+    return false;
+  }
+
+  if (constraints.exclude && constraints.exclude.some(word => text.includes(word.toLowerCase()))) {
+    return false;
+  }
+
+  if (constraints.maxPrice) {
+    const unitPrice = getProductUnitPrice(product);
+    if (unitPrice === null || unitPrice > constraints.maxPrice) {
+      return false;
+    }
+  }
+
+  if (constraints.minSize || constraints.maxSize) {
+    const size = parseSize(product.title);
+    if (!size) {
+      return false;
+    }
+    if (constraints.minSize &&
+        (size.dimension !== constraints.minSize.dimension || size.amount < constraints.minSize.amount)) {
+      return false;
+    }
+    if (constraints.maxSize &&
+        (size.dimension !== constraints.maxSize.dimension || size.amount > constraints.maxSize.amount)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// A vendor's products that can stand for an item: its saved product, if it has one,
+// and only those passing its constraints
+function getItemCandidates(item, vendor) {
+  return (vendor.products || []).filter(product =>
+    (!item.product || isSameProduct(product, item.product)) &&
+    productMeetsConstraints(product, item.constraints)
+  );
+}
+
+// "کره | مارگارین" is one item that any of its alternatives satisfies
+function splitAlternatives(name) {
+  const alternatives = name.split('|').map(normalizePersianText).filter(Boolean);
+  return [...new Set(alternatives)];
+}
+
+// Parses the synonym rules typed in the popup into term -> [terms also searched for it].
+// "a = b = c" makes the terms interchangeable, "a > b" searches b for a but not a for b,
+// and lines starting with # are comments.
+function parseSynonymRules(text) {
+  const synonyms = new Map();
+  const addSynonym = (term, synonym) => {
+    if (term === synonym) return;
+    if (!synonyms.has(term)) synonyms.set(term, []);
+    if (!synonyms.get(term).includes(synonym)) synonyms.get(term).push(synonym);
+  };
+
+  String(text || '').split('\n').forEach(line => {
+    const rule = line.trim();
+    if (!rule || rule.startsWith('#')) {
+      return;
+    }
+
+    if (/[>→]/.test(rule)) {
+      const [from, ...targets] = rule.split(/[>→]/).map(normalizePersianText).filter(Boolean);
+      targets.forEach(target => addSynonym(from, target));
+      return;
+    }
+
+    const terms = rule.split(/[=↔]/).map(normalizePersianText).filter(Boolean);
+    terms.forEach(term => terms.forEach(synonym => addSynonym(term, synonym)));
+  });
+
+  return synonyms;
+}
+
+async function loadSynonyms() {
+  const { [SYNONYMS_STORAGE_KEY]: rules = '' } = await chrome.storage.local.get(SYNONYMS_STORAGE_KEY);
+  return parseSynonymRules(rules);
+}
+
+// Queries searched for one alternative: itself, then its synonyms
+function getSearchTerms(item, alternative) {
+  return item.searchTerms?.[alternative] || [alternative];
+}
+
+function getItemQueries(item) {
+  return [...new Set(item.alternatives.flatMap(alternative => getSearchTerms(item, alternative)))];
+}
+
+// Vendors found for an alternative across all its search terms, products merged per vendor
+function getAlternativeVendors(item, alternative, vendorsByQuery) {
+  const terms = getSearchTerms(item, alternative);
+  if (terms.length === 1) {
+    return vendorsByQuery.get(terms[0]) || [];
+  }
+
+  const vendorsById = new Map();
+  terms.forEach(term => mergeVendorProducts(vendorsById, vendorsByQuery.get(term) || []));
+  return Array.from(vendorsById.values());
+}
+
+// A list item's saved product ({ id, title }), or null for an item matched by its text
+function normalizeProductRef(product) {
+  if (!product || product.id === null || product.id === undefined || typeof product.title !== 'string') {
+    return null;
+  }
+  return { id: product.id, title: product.title.trim() };
+}
+
+// Turns popup list entries (plain names or { name, quantity, constraints, product }) into
+// { name, quantity, alternatives, searchTerms, constraints, product } objects, merging quantities of
+// names that normalize to the same text. searchTerms maps each alternative to its queries.
+// An item with a product only matches that product, so synonyms don't widen its search.
+function normalizeListItems(items, synonyms = new Map()) {
+  const itemsByName = new Map();
+
+  items.forEach(item => {
+    const name = typeof item === 'string' ? item : item?.name;
+    if (!name || typeof name !== 'string' || splitAlternatives(name).length === 0) {
+      return;
+    }
+
+    const trimmedName = name.trim();
+    const product = normalizeProductRef(item?.product);
+    const key = product ? `product:${product.id}` : normalizePersianText(trimmedName);
+    const quantity = parseInt(item?.quantity, 10);
+    const finalQuantity = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
+
+    if (itemsByName.has(key)) {
+      itemsByName.get(key).quantity += finalQuantity;
+    } else {
+      const alternatives = splitAlternatives(trimmedName);
+      itemsByName.set(key, {
+        name: trimmedName,
+        quantity: finalQuantity,
+        alternatives: alternatives,
+        searchTerms: Object.fromEntries(alternatives.map(alternative => [
+          alternative,
+          product ? [alternative] : [alternative, ...(synonyms.get(alternative) || [])]
+        ])),
+        constraints: normalizeConstraints(item?.constraints),
+        product: product
+      });
+    }
+  });
+
+  return Array.from(itemsByName.values());
+}
+
+async function findVendorsWithAllProducts(items, options = {}) {
+  if (!items || items.length === 0) {
+    return { vendors: [], splitPlan: null, failedItems: [], priceHistory: {} };
+  }
+
+  const context = options.context || await getSearchContext();
+  if (!isSearchContextInitialized(context)) {
+    throw new Error(SEARCH_CONTEXT_MISSING_MESSAGE);
+  }
+
+  const maxPages = normalizeMaxPages(options.maxPages);
+  const pins = await loadProductPins();
+
+  // Every alternative of every item is searched once, however many items share it.
+  // Queries already in options.vendorsByQuery (from an earlier run) are not searched again.
+  const vendorsByQuery = options.vendorsByQuery || new Map();
+  const queries = [...new Set(items.flatMap(getItemQueries))]
+    .filter(query => !vendorsByQuery.has(query));
+
+  const signal = options.signal;
+  const progress = createSearchProgress(items, vendorsByQuery, options.maxMissing, options.onProgress);
+  progress.report();
+
+  const failedQueries = new Set();
+  await Promise.all(queries.map(async (query) => {
+    try {
+      const vendors = await searchProductAllPages(query, context, maxPages, {
+        cacheTtlMs: normalizeCacheTtlMs(options.cacheTtlMinutes),
+        forceRefresh: Boolean(options.forceRefresh),
+        signal: signal,
+        onStart: () => progress.setQueryState(query, 'searching')
+      });
+      vendorsByQuery.set(query, vendors);
+      progress.setQueryState(query, 'done');
+    } catch (error) {
+      // A cancelled search reports 'cancelled' once; its pending items didn't fail
+      if (signal?.aborted) {
+        return;
+      }
+      console.error(`Failed to search for "${query}":`, error);
+      failedQueries.add(query);
+      progress.setQueryState(query, 'failed');
+    }
+  }));
+
+  signal?.throwIfAborted();
+
+  // An item whose queries couldn't all be searched is left out rather than
+  // counted as missing, so a failed request never makes a store look worse
+  const failedItems = items
+    .filter(item => getItemQueries(item).some(query => failedQueries.has(query)))
+    .map(item => item.name);
+  items = items.filter(item => !failedItems.includes(item.name));
+
+  if (items.length === 0) {
+    throw new Error('جستجوی هیچ‌یک از محصولات انجام نشد. لطفاً دوباره تلاش کنید.');
+  }
+
+  // Map to track vendors: vendorId -> { vendor, products: Map<itemName, offers[]> }
+  // where each offer is { alternative, candidates } for an alternative the vendor carries
+  const vendorMap = new Map();
+
+  items.forEach(item => {
+    const { name, alternatives } = item;
+    alternatives.forEach(alternative => {
+      getAlternativeVendors(item, alternative, vendorsByQuery).forEach(vendor => {
+        const vendorId = vendor.id;
+        const candidates = getItemCandidates(item, vendor);
+        
+        // The alternative only counts if the vendor has a product that can stand for the item
+        if (candidates.length === 0) {
+          return;
+        }
+        
+        if (!vendorMap.has(vendorId)) {
+          vendorMap.set(vendorId, {
+            vendor: vendor,
+            products: new Map()
+          });
+        }
+        
+        const products = vendorMap.get(vendorId).products;
+        if (!products.has(name)) {
+          products.set(name, []);
+        }
+        products.get(name).push({ alternative, candidates });
+      });
+    });
+  });
+
+  const matchingVendors = [];
+  // A vendor must carry at least one item to be worth showing, however lenient the mode
+  const maxMissing = Math.min(normalizeMaxMissing(options.maxMissing), items.length - 1);
+
+  vendorMap.forEach(({ vendor, products }) => {
+    const missingItems = items
+      .filter(({ name }) => !products.has(name))
+      .map(({ name }) => name);
+
+    if (missingItems.length > maxMissing) {
+      return;
+    }
+
+    const matchedProducts = items
+      .filter(({ name }) => products.has(name))
+      .map(item => buildMatchedLine(item, products.get(item.name), pins));
+
+    matchingVendors.push(createVendorResult(vendor, matchedProducts, missingItems));
+  });
+
+  sortVendorResults(matchingVendors);
+
+  // Only worth planning a split order when no single store has everything
+  const hasCompleteVendor = matchingVendors.some(vendor => vendor.missingItems.length === 0);
+  const splitPlan = hasCompleteVendor
+    ? null
+    : findSplitBasket(vendorMap, items, pins, options.maxSplitStores);
+
+  const history = await recordPriceHistory(vendorMap).catch(error => {
+    console.warn('Snapp Extension: Could not record price history:', error);
+    return {};
+  });
+  const shownVendors = splitPlan ? [...matchingVendors, ...splitPlan.stores] : matchingVendors;
+  const priceHistory = getPriceHistoryForVendors(shownVendors, history);
+
+  return { vendors: matchingVendors, splitPlan, failedItems, priceHistory };
+}
+
+// Every product that passed an item's constraints, as [key, product] pairs
+function getCandidateObservations(vendorMap) {
+  const observations = new Map();
+  vendorMap.forEach(({ vendor, products }) => {
+    products.forEach(offers => offers.forEach(({ candidates }) => candidates.forEach(product => {
+      if (typeof product.price === 'number') {
+        observations.set(getPriceHistoryKey(vendor.id, product.id), product);
+      }
+    })));
+  });
+  return observations;
+}
+
+function getPriceHistoryStorageKey(key) {
+  return `${PRICE_HISTORY_KEY_PREFIX}${key}`;
+}
+
+function getOldestPriceHistoryDate() {
+  return getPriceHistoryDate(new Date(Date.now() - PRICE_HISTORY_MAX_DAYS * 24 * 60 * 60 * 1000));
+}
+
+// Adds today's price of every candidate product to its stored history (one entry per
+// day, the latest observation winning) and drops old entries. Only these products' keys
+// are read, and only the ones that changed are written. Resolves to their histories.
+function recordPriceHistory(vendorMap) {
+  const observations = getCandidateObservations(vendorMap);
+
+  priceHistoryUpdates = priceHistoryUpdates.catch(() => {}).then(async () => {
+    const history = {};
+    if (observations.size === 0) {
+      return history;
+    }
+
+    const stored = await chrome.storage.local.get([...observations.keys()].map(getPriceHistoryStorageKey));
+    const today = getPriceHistoryDate();
+    const oldest = getOldestPriceHistoryDate();
+    const changes = {};
+
+    observations.forEach((product, key) => {
+      const storageKey = getPriceHistoryStorageKey(key);
+      const previous = stored[storageKey] || [];
+      const last = previous[previous.length - 1];
+      const entry = { date: today, price: product.price, discount: product.discount || 0 };
+      const entries = previous.filter(({ date }) => date !== today && date >= oldest);
+      entries.push(entry);
+      history[key] = entries;
+
+      const unchanged = entries.length === previous.length && last.date === today &&
+        last.price === entry.price && last.discount === entry.discount;
+      if (!unchanged) {
+        changes[storageKey] = entries;
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await chrome.storage.local.set(changes);
+    }
+    return history;
+  });
+
+  return priceHistoryUpdates;
+}
+
+// Drops observations older than PRICE_HISTORY_MAX_DAYS from every stored history, and the
+// histories of products no search has seen since. Reads all of them, so it only runs
+// when the browser starts or the extension is updated, not per search.
+function prunePriceHistory() {
+  priceHistoryUpdates = priceHistoryUpdates.catch(() => {}).then(async () => {
+    const keys = (await chrome.storage.local.getKeys()).filter(key => key.startsWith(PRICE_HISTORY_KEY_PREFIX));
+    if (keys.length === 0) {
+      return;
+    }
+
+    const stored = await chrome.storage.local.get(keys);
+    const oldest = getOldestPriceHistoryDate();
+    const changes = {};
+    const emptied = [];
+    keys.forEach(key => {
+      const entries = stored[key].filter(({ date }) => date >= oldest);
+      if (entries.length === 0) {
+        emptied.push(key);
+      } else if (entries.length !== stored[key].length) {
+        changes[key] = entries;
+      }
+    });
+
+    if (emptied.length > 0) {
+      await chrome.storage.local.remove(emptied);
+    }
+    if (Object.keys(changes).length > 0) {
+      await chrome.storage.local.set(changes);
+    }
+  });
+
+  return priceHistoryUpdates.catch(error => {
+    console.warn('Snapp Extension: Could not prune the price history:', error);
+  });
+}
+
+// The part of the history the results view needs: every candidate of every shown line,
+// since pinning can swap the product a line shows
+function getPriceHistoryForVendors(vendors, history) {
+  const priceHistory = {};
+  vendors.forEach(vendor => {
+    vendor.matchedProducts.forEach(line => line.candidates.forEach(product => {
+      const key = getPriceHistoryKey(vendor.vendorId, product.id);
+      if (history[key]) {
+        priceHistory[key] = history[key];
+      }
+    }));
+  });
+  return priceHistory;
+}
+
+// Ids of the vendors with at least one product for the item that passes its constraints
+function getItemVendorIds(item, vendorsByQuery) {
+  const vendorIds = new Set();
+  item.alternatives.forEach(alternative => {
+    getAlternativeVendors(item, alternative, vendorsByQuery).forEach(vendor => {
+      if (getItemCandidates(item, vendor).length > 0) {
+        vendorIds.add(vendor.id);
+      }
+    });
+  });
+  return vendorIds;
+}
+
+// Tracks each item's search state for the progress view and passes a snapshot to
+// onProgress whenever a query changes state. Item status is one of queued, searching,
+// found (with storeCount) or failed.
+function createSearchProgress(items, vendorsByQuery, maxMissing, onProgress) {
+  // query -> queued | searching | done | failed
+  const queryStates = new Map();
+  items.forEach(item => getItemQueries(item).forEach(query => {
+    queryStates.set(query, vendorsByQuery.has(query) ? 'done' : 'queued');
+  }));
+  const allowedMissing = Math.min(normalizeMaxMissing(maxMissing), items.length - 1);
+
+  function getItemStatus(item) {
+    const states = getItemQueries(item).map(query => queryStates.get(query));
+    if (states.includes('failed')) return 'failed';
+    if (states.every(state => state === 'done')) return 'found';
+    if (states.every(state => state === 'queued')) return 'queued';
+    return 'searching';
+  }
+
+  function report() {
+    if (!onProgress) {
+      return;
+    }
+
+    const foundVendorIds = [];
+    const progressItems = items.map(item => {
+      const status = getItemStatus(item);
+      if (status !== 'found') {
+        return { name: item.name, status };
+      }
+      const vendorIds = getItemVendorIds(item, vendorsByQuery);
+      foundVendorIds.push(vendorIds);
+      return { name: item.name, status, storeCount: vendorIds.size };
+    });
+
+    // A store is still in the running while it lacks no more found items than allowed;
+    // unknown until the first item is found
+    let candidateStores = null;
+    if (foundVendorIds.length > 0) {
+      const allVendorIds = new Set(foundVendorIds.flatMap(vendorIds => [...vendorIds]));
+      candidateStores = [...allVendorIds].filter(vendorId => {
+        const missing = foundVendorIds.filter(vendorIds => !vendorIds.has(vendorId)).length;
+        return missing <= allowedMissing;
+      }).length;
+    }
+
+    onProgress({ items: progressItems, candidateStores });
+  }
+
+  return {
+    report,
+    setQueryState(query, state) {
+      if (queryStates.get(query) === state) {
+        return;
+      }
+      queryStates.set(query, state);
+      report();
+    }
+  };
+}
+
+function createVendorResult(vendor, matchedProducts, missingItems) {
+  const vendorResult = {
+    vendorId: vendor.id,
+    code: vendor.code || null,
+    title: vendor.title || 'فروشگاه نامشخص',
+    address: vendor.address || 'آدرس در دسترس نیست',
+    rating: vendor.rating || null,
+    deliveryFee: vendor.deliveryFee ?? null,
+    deliveryTime: vendor.deliveryTime || null,
+    featured: vendor.featured || null,
+    isOpen: vendor.isOpen ?? null,
+    nextOpeningTime: vendor.openingTime || null,
+    isPro: Boolean(vendor.is_pro),
+    hasFreeDelivery: vendor.deliveryFee === 0,
+    discountPercent: vendor.discountValueForView || null,
+    matchedProducts: matchedProducts,
+    missingItems: missingItems
+  };
+  updateVendorTotals(vendorResult);
+  return vendorResult;
+}
+
+// Looks for the cheapest group of 2 (or up to maxStores) stores that together
+// carry every item, reusing the offers already collected in vendorMap.
+// Each item goes to the store in the group that sells it cheapest, and every
+// store's delivery fee counts towards the total.
+function findSplitBasket(vendorMap, items, pins, maxStores = 2) {
+  const storeLimit = Math.min(Math.max(parseInt(maxStores, 10) || 2, 2), 3);
+
+  const offers = [];
+  vendorMap.forEach(({ vendor, products }) => {
+    const lines = new Map();
+    items.forEach(item => {
+      if (products.has(item.name)) {
+        lines.set(item.name, buildMatchedLine(item, products.get(item.name), pins));
+      }
+    });
+    offers.push({ vendor, lines });
+  });
+
+  // Widest coverage first, so the triple search below can stay within the best candidates
+  offers.sort((a, b) => b.lines.size - a.lines.size);
+
+  const lineCost = line => line.linePrice ?? Infinity;
+  let best = null;
+
+  const evaluate = (group) => {
+    const assignment = group.map(() => []);
+    let itemsTotal = 0;
+
+    for (const item of items) {
+      let bestIndex = -1;
+      let bestCost = Infinity;
+      group.forEach((offer, index) => {
+        const line = offer.lines.get(item.name);
+        if (line && (bestIndex === -1 || lineCost(line) < bestCost)) {
+          bestIndex = index;
+          bestCost = lineCost(line);
+        }
+      });
+
+      if (bestIndex === -1) {
+        return;
+      }
+      assignment[bestIndex].push(group[bestIndex].lines.get(item.name));
+      itemsTotal += Number.isFinite(bestCost) ? bestCost : 0;
+    }
+
+    // A store with nothing to order would only add its delivery fee
+    if (assignment.some(lines => lines.length === 0)) {
+      return;
+    }
+
+    const total = itemsTotal + group.reduce((sum, offer) => sum + (offer.vendor.deliveryFee || 0), 0);
+    if (!best || total < best.total) {
+      best = { group, assignment, total };
+    }
+  };
+
+  for (let i = 0; i < offers.length; i++) {
+    for (let j = i + 1; j < offers.length; j++) {
+      if (offers[i].lines.size + offers[j].lines.size >= items.length) {
+        evaluate([offers[i], offers[j]]);
+      }
+    }
+  }
+
+  if (storeLimit >= 3) {
+    const tripleCandidates = offers.slice(0, SPLIT_TRIPLE_CANDIDATE_LIMIT);
+    for (let i = 0; i < tripleCandidates.length; i++) {
+      for (let j = i + 1; j < tripleCandidates.length; j++) {
+        for (let k = j + 1; k < tripleCandidates.length; k++) {
+          const coverage = tripleCandidates[i].lines.size + tripleCandidates[j].lines.size + tripleCandidates[k].lines.size;
+          if (coverage >= items.length) {
+            evaluate([tripleCandidates[i], tripleCandidates[j], tripleCandidates[k]]);
+          }
+        }
+      }
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  return updateSplitPlanTotals({
+    stores: best.group.map((offer, index) => createVendorResult(offer.vendor, best.assignment[index], []))
+  });
+}
+
+// Id of the active tab if it is on Snapp Express, where progress and results are shown
+async function getActiveSnappTabId() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || !tab.url || !tab.url.startsWith(SNAPP_EXPRESS_URL)) {
+    return null;
+  }
+  return tab.id;
+}
+
+// Shows results in the overlay of the given Snapp Express tab, if any.
+// Returns whether the overlay was shown.
+async function showResultsInTab(tabId, results) {
+  if (tabId === null) {
+    return false;
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'SHOW_RESULTS',
+      results: results
+    });
+    return Boolean(response && response.ok);
+  } catch (error) {
+    // No content script in the tab (e.g. it was opened before the extension loaded)
+    console.warn('Snapp Extension: Could not show results in the active tab:', error);
+    return false;
+  }
+}
+
+// Progress goes to the popup and to the tab's overlay; either may be gone by now
+function sendSearchProgress(tabId, progress) {
+  const message = { type: 'SEARCH_PROGRESS', progress: progress };
+  chrome.runtime.sendMessage(message).catch(() => {});
+  if (tabId !== null) {
+    chrome.tabs.sendMessage(tabId, message).catch(() => {});
+  }
+}
+
+// Aborts the search in progress, if any, and registers a new one in its place
+// Ids grow with time (not per worker), so views can tell newer searches from older ones
+function startSearch() {
+  cancelActiveSearch();
+  lastSearchId = Math.max(Date.now(), lastSearchId + 1);
+  activeSearch = { id: lastSearchId, controller: new AbortController() };
+  return activeSearch;
+}
+
+function finishSearch(search) {
+  if (activeSearch === search) {
+    activeSearch = null;
+  }
+}
+
+function cancelActiveSearch() {
+  if (!activeSearch) {
+    return false;
+  }
+  activeSearch.controller.abort();
+  activeSearch = null;
+  return true;
+}
+
+// Checks and normalizes the items of a search message; returns { items } or { error }
+function parseListItems(items, synonyms) {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return {
+      error: 'لیست محصولات نامعتبر است: باید آرایه‌ای غیرخالی باشد'
+    };
+  }
+
+  const validItems = normalizeListItems(items, synonyms);
+
+  if (validItems.length === 0) {
+    return {
+      error: 'هیچ نام محصول معتبری ارائه نشده است'
+    };
+  }
+
+  return { items: validItems };
+}
+
+// Adds items to the active list. An item already on it (the same saved product, or the
+// same name for a plain item) gets the new quantity added instead of a second row.
+// Resolves to the list's name and the resulting entry of every added item.
+function addItemsToActiveList(items) {
+  listUpdates = listUpdates.catch(() => {}).then(async () => {
+    const { [LISTS_STORAGE_KEY]: stored } = await chrome.storage.local.get(LISTS_STORAGE_KEY);
+    const state = stored && Array.isArray(stored.lists) && stored.lists.length > 0
+      ? stored
+      : { activeListId: null, lists: [{ id: createId(), name: DEFAULT_LIST_NAME, items: [] }] };
+    const list = state.lists.find(({ id }) => id === state.activeListId) || state.lists[0];
+    state.activeListId = list.id;
+
+    const entries = items.map(newItem => {
+      const existing = list.items.find(item => newItem.product
+        ? item.product && String(item.product.id) === String(newItem.product.id)
+        : !item.product && normalizePersianText(item.name) === normalizePersianText(newItem.name));
+      if (existing) {
+        existing.quantity = (parseInt(existing.quantity, 10) || 1) + newItem.quantity;
+        return existing;
+      }
+      list.items.push(newItem);
+      return newItem;
+    });
+
+    await chrome.storage.local.set({ [LISTS_STORAGE_KEY]: state });
+    return { listName: list.name, items: entries };
+  });
+  return listUpdates;
+}
+
+async function handleAddProductToList(message) {
+  const product = normalizeProductRef(message.product);
+  if (!product || !product.title) {
+    return { ok: false, error: 'اطلاعات محصول نامعتبر است' };
+  }
+  const { listName, items } = await addItemsToActiveList([{ name: product.title, quantity: 1, product: product }]);
+  return { ok: true, result: { listName: listName, quantity: items[0].quantity } };
+}
+
+// A run holds what a list search needs to be repeated: its items, options and fetched queries.
+// searchId is the search that started it, which its results carry so a view can retry that run.
+function createSearchRun(items, options = {}, searchId = null) {
+  return {
+    searchId: searchId,
+    items: items,
+    options: {
+      maxPages: options.maxPages,
+      maxMissing: options.maxMissing,
+      maxSplitStores: options.maxSplitStores,
+      cacheTtlMinutes: options.cacheTtlMinutes,
+      forceRefresh: options.forceRefresh
+    },
+    vendorsByQuery: new Map()
+  };
+}
+
+// tabId is the Snapp Express tab to show progress and results in; by default the active one
+async function handleFindStoresForList(message, tabId) {
+  const { items: validItems, error } = parseListItems(message.items, await loadSynonyms());
+  if (error) {
+    return { ok: false, error: error };
+  }
+
+  chrome.storage.local.set({
+    [LAST_LIST_SEARCH_STORAGE_KEY]: { items: message.items, options: message.options || {} }
+  }).catch(error => {
+    console.warn('Snapp Extension: Could not save the last list search:', error);
+  });
+
+  // Check if search context is initialized
+  const context = await getSearchContext();
+  if (!isSearchContextInitialized(context)) {
+    return {
+      ok: false,
+      error: SEARCH_CONTEXT_MISSING_MESSAGE
+    };
+  }
+
+  console.log('Searching for vendors with products:', validItems.map(item => item.name));
+
+  await pruneSearchCache().catch(error => {
+    console.warn('Snapp Extension: Could not prune the search cache:', error);
+  });
+
+  const search = startSearch();
+  const run = createSearchRun(validItems, message.options, search.id);
+  if (tabId === undefined) {
+    tabId = await getActiveSnappTabId().catch(() => null);
+  }
+  const onProgress = progress => sendSearchProgress(tabId, { searchId: search.id, state: 'running', ...progress });
+
+  try {
+    const results = await runListSearch(run, context, search.controller.signal, onProgress);
+    lastSearchRun = run;
+    const shownInTab = await showResultsInTab(tabId, results);
+
+    return {
+      ok: true,
+      result: results,
+      shownInTab: shownInTab
+    };
+  } catch (error) {
+    const state = search.controller.signal.aborted ? 'cancelled' : 'failed';
+    sendSearchProgress(tabId, { searchId: search.id, state: state, error: error.message });
+    if (state === 'cancelled') {
+      return {
+        ok: false,
+        cancelled: true,
+        error: SEARCH_CANCELLED_MESSAGE
+      };
+    }
+    throw error;
+  } finally {
+    finishSearch(search);
+  }
+}
+
+// Runs the list against each chosen saved address, using the captured context with
+// that address's coordinates. Addresses are searched side by side; the request queue
+// keeps the number of API calls in flight bounded.
+async function handleCompareLocations(message) {
+  const { items: validItems, error } = parseListItems(message.items, await loadSynonyms());
+  if (error) {
+    return { ok: false, error: error };
+  }
+
+  const context = await getSearchContext();
+  if (!isSearchContextInitialized(context)) {
+    return {
+      ok: false,
+      error: SEARCH_CONTEXT_MISSING_MESSAGE
+    };
+  }
+
+  const locationIds = Array.isArray(message.locationIds) ? message.locationIds : [];
+  const { [SAVED_LOCATIONS_STORAGE_KEY]: savedLocations = [] } = await chrome.storage.local.get(SAVED_LOCATIONS_STORAGE_KEY);
+  const locations = savedLocations.filter(({ id }) => locationIds.includes(id));
+
+  if (locations.length === 0) {
+    return {
+      ok: false,
+      error: 'هیچ آدرسی برای مقایسه انتخاب نشده است'
+    };
+  }
+
+  console.log('Comparing list across locations:', locations.map(({ name }) => name));
+
+  const search = startSearch();
+  const signal = search.controller.signal;
+
+  try {
+    const results = await Promise.all(locations.map(async (location) => {
+      const locationContext = { ...context, lat: location.lat, long: location.long };
+      const run = createSearchRun(validItems, message.options);
+      try {
+        return { location, ...await runListSearch(run, locationContext, signal) };
+      } catch (error) {
+        signal.throwIfAborted();
+        console.error(`Failed to search at "${location.name}":`, error);
+        return { location, error: error.message };
+      }
+    }));
+
+    return {
+      ok: true,
+      result: { items: validItems, locations: results }
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      return {
+        ok: false,
+        cancelled: true,
+        error: SEARCH_CANCELLED_MESSAGE
+      };
+    }
+    throw error;
+  } finally {
+    finishSearch(search);
+  }
+}
+
+// Searches the items of a run, reusing whatever it has already fetched
+async function runListSearch(run, context, signal, onProgress) {
+  const { items, options, vendorsByQuery } = run;
+
+  const { vendors, splitPlan, failedItems, priceHistory } = await findVendorsWithAllProducts(items, {
+    ...options,
+    context: context,
+    vendorsByQuery: vendorsByQuery,
+    signal: signal,
+    onProgress: onProgress
+  });
+
+  const completeCount = vendors.filter(vendor => vendor.missingItems.length === 0).length;
+  console.log(`Found ${completeCount} matching vendors and ${vendors.length - completeCount} partial matches`);
+  if (failedItems.length > 0) {
+    console.warn('Could not search for:', failedItems);
+  }
+
+  return { searchId: run.searchId, options: run.options, vendors, items, splitPlan, failedItems, priceHistory };
+}
+
+// Searches again only the items the view's run couldn't check. The results go
+// back to the view that asked, which re-renders itself.
+async function handleRetryFailedItems(message) {
+  const context = await getSearchContext();
+  if (!isSearchContextInitialized(context)) {
+    return {
+      ok: false,
+      error: SEARCH_CONTEXT_MISSING_MESSAGE
+    };
+  }
+
+  // The worker may have been stopped since, or another search may have run after the
+  // view's one; rebuild the run from the items of the view's results, which are already normalized
+  let run = lastSearchRun;
+  if (!run || message.searchId == null || run.searchId !== message.searchId) {
+    if (!Array.isArray(message.items) || message.items.length === 0) {
+      return {
+        ok: false,
+        error: 'جستجوی قبلی پیدا نشد. لطفاً دوباره جستجو کنید.'
+      };
+    }
+    run = createSearchRun(message.items, message.options, message.searchId ?? null);
+    lastSearchRun = run;
+  }
+
+  const search = startSearch();
+  try {
+    return {
+      ok: true,
+      result: await runListSearch(run, context, search.controller.signal)
+    };
+  } catch (error) {
+    if (search.controller.signal.aborted) {
+      return {
+        ok: false,
+        cancelled: true,
+        error: SEARCH_CANCELLED_MESSAGE
+      };
+    }
+    throw error;
+  } finally {
+    finishSearch(search);
+  }
+}
+
+function ensureWatchAlarm() {
+  chrome.alarms.get(WATCH_ALARM_NAME).then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create(WATCH_ALARM_NAME, { periodInMinutes: WATCH_INTERVAL_MINUTES });
+    }
+  });
+}
+
+// Stores the result of a check on the watch, unless the list stopped being watched meanwhile
+async function saveWatchCheck(listId, lastCheck) {
+  const { [WATCHES_STORAGE_KEY]: watches = {} } = await chrome.storage.local.get(WATCHES_STORAGE_KEY);
+  if (!watches[listId]) {
+    return;
+  }
+  watches[listId].lastCheck = lastCheck;
+  await chrome.storage.local.set({ [WATCHES_STORAGE_KEY]: watches });
+}
+
+function formatWatchPrice(amount) {
+  return amount === null ? 'نامشخص' : `${amount.toLocaleString('fa-IR')} تومان`;
+}
+
+// kind keeps an availability and a price drop notification of one list from replacing each other
+function notifyWatchedList(list, vendor, kind, message) {
+  chrome.notifications.create(`${WATCH_NOTIFICATION_PREFIX}${list.id}:${kind}:${vendor.code || ''}`, {
+    type: 'basic',
+    iconUrl: 'images/favicon128.png',
+    title: `لیست «${list.name}»`,
+    message: message
+  });
+}
+
+// Searches a watched list and notifies when a store with every item shows up, or when
+// the best total first drops to the watch's maxTotal. Nothing is repeated while the
+// state stays the same between checks.
+async function checkWatchedList(list, watch, context, synonyms) {
+  const items = normalizeListItems(list.items || [], synonyms);
+  if (items.length === 0) {
+    return;
+  }
+
+  // Always fresh prices; the new pages still land in the cache for the popup.
+  // Price drop alerts look at every store carrying an item, not only complete ones.
+  const { vendors, priceHistory } = await findVendorsWithAllProducts(items, {
+    context: context,
+    maxMissing: watch.priceDropAlerts ? items.length : 0,
+    forceRefresh: true
+  });
+  const completeVendors = vendors.filter(vendor => vendor.missingItems.length === 0);
+  const best = completeVendors[0] || null;
+  const previous = watch.lastCheck || null;
+
+  if (best) {
+    const maxTotal = watch.maxTotal || null;
+    const wasAvailable = Boolean(previous && previous.completeCount > 0);
+    const isBelowMax = maxTotal !== null && best.grandTotal !== null && best.grandTotal <= maxTotal;
+    const wasBelowMax = maxTotal !== null && previous !== null
+      && previous.bestTotal !== null && previous.bestTotal <= maxTotal;
+
+    if (isBelowMax && !wasBelowMax) {
+      notifyWatchedList(list, best, 'available', `مبلغ کل در «${best.title}» به ${formatWatchPrice(best.grandTotal)} رسید (سقف شما: ${formatWatchPrice(maxTotal)}).`);
+    } else if (!wasAvailable) {
+      notifyWatchedList(list, best, 'available', `«${best.title}» حالا همه محصولات لیست را دارد؛ مبلغ کل ${formatWatchPrice(best.grandTotal)}.`);
+    }
+  }
+
+  const priceDrops = watch.priceDropAlerts ? findPriceDrops(vendors, priceHistory) : [];
+  const previousDrops = new Set(previous?.priceDrops || []);
+  const newDrops = priceDrops.filter(drop => !previousDrops.has(drop.id));
+  if (newDrops.length > 0) {
+    const dropsText = newDrops.slice(0, 3)
+      .map(({ name, vendor, unitPrice, usualPrice }) => `${name} در «${vendor.title}»: ${formatWatchPrice(unitPrice)} (معمولاً ${formatWatchPrice(usualPrice)})`)
+      .join('\n');
+    notifyWatchedList(list, newDrops[0].vendor, 'price-drop', `کاهش قیمت:\n${dropsText}`);
+  }
+
+  await saveWatchCheck(list.id, {
+    checkedAt: Date.now(),
+    completeCount: completeVendors.length,
+    bestTotal: best ? best.grandTotal : null,
+    vendorTitle: best ? best.title : null,
+    priceDrops: priceDrops.map(({ id }) => id)
+  });
+}
+
+// Lines priced at least PRICE_DROP_RATIO under the product's usual price at that store,
+// the biggest drop first. Each drop's id names the product and price, so a repeat of the
+// same drop can be told apart from a further one.
+function findPriceDrops(vendors, priceHistory) {
+  const drops = [];
+  vendors.forEach(vendor => vendor.matchedProducts.forEach(line => {
+    if (!line.product || line.unitPrice === null) {
+      return;
+    }
+    const key = getPriceHistoryKey(vendor.vendorId, line.product.id);
+    const usualPrice = getUsualPrice(priceHistory[key]);
+    if (usualPrice !== null && line.unitPrice <= usualPrice * (1 - PRICE_DROP_RATIO)) {
+      drops.push({
+        id: `${key}:${line.unitPrice}`,
+        name: line.name,
+        vendor: vendor,
+        unitPrice: line.unitPrice,
+        usualPrice: usualPrice
+      });
+    }
+  }));
+  return drops.sort((a, b) => (b.usualPrice - b.unitPrice) / b.usualPrice - (a.usualPrice - a.unitPrice) / a.usualPrice);
+}
+
+async function checkWatchedLists() {
+  const stored = await chrome.storage.local.get([LISTS_STORAGE_KEY, WATCHES_STORAGE_KEY]);
+  const watches = stored[WATCHES_STORAGE_KEY] || {};
+  const lists = (stored[LISTS_STORAGE_KEY]?.lists || []).filter(({ id }) => watches[id]);
+  if (lists.length === 0) {
+    return;
+  }
+
+  const context = await getSearchContext();
+  if (!isSearchContextInitialized(context)) {
+    console.warn('Snapp Extension: Skipping watched lists, no search context yet');
+    return;
+  }
+
+  // One list at a time; the watch is in no hurry and shouldn't crowd out a search from the popup
+  const synonyms = await loadSynonyms();
+  for (const list of lists) {
+    try {
+      await checkWatchedList(list, watches[list.id], context, synonyms);
+    } catch (error) {
+      console.error(`Error checking watched list "${list.name}":`, error);
+    }
+  }
+}
+
+function showNotice(message) {
+  chrome.notifications.create(NOTICE_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: 'images/favicon128.png',
+    title: 'لیست خرید اسنپ اکسپرس',
+    message: message
+  });
+}
+
+// The selection with its line breaks, which info.selectionText flattens; pages the
+// extension can't script (e.g. the Chrome Web Store) fall back to info.selectionText
+async function getSelectedText(info, tab) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+      func: () => window.getSelection().toString()
+    });
+    if (injection?.result?.trim()) {
+      return injection.result;
+    }
+  } catch (error) {
+    console.warn('Snapp Extension: Could not read the selection from the page:', error);
+  }
+  return info.selectionText || '';
+}
+
+// Selected text (a line of a recipe, or a whole ingredient list) becomes items of the active list
+async function addSelectionToList(info, tab) {
+  const items = parseListText(await getSelectedText(info, tab));
+  if (items.length === 0) {
+    showNotice('محصولی در متن انتخاب‌شده پیدا نشد.');
+    return;
+  }
+  const { listName } = await addItemsToActiveList(items);
+  showNotice(`${items.map(({ name }) => name).join('، ')} به لیست «${listName}» اضافه شد.`);
+}
+
+async function runLastList() {
+  const tabId = await getActiveSnappTabId();
+  if (tabId === null) {
+    showNotice('برای جستجوی دوباره آخرین لیست، یک صفحه اسنپ اکسپرس را باز کنید.');
+    return;
+  }
+
+  const { [LAST_LIST_SEARCH_STORAGE_KEY]: lastSearch } = await chrome.storage.local.get(LAST_LIST_SEARCH_STORAGE_KEY);
+  if (!lastSearch) {
+    showNotice('هنوز لیستی جستجو نشده است. ابتدا یک لیست را از پنجره افزونه جستجو کنید.');
+    return;
+  }
+
+  // A failed search is already reported in the tab's overlay
+  const response = await handleFindStoresForList(lastSearch, tabId);
+  if (!response.ok && !response.cancelled) {
+    showNotice(response.error);
+  }
+}
+
+function waitForTabComplete(tabId) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        done();
+      }
+    };
+    const timeout = setTimeout(done, TAB_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// The omnibox search shows its results on a Snapp Express tab: the current one if it
+// is one, otherwise the site is opened where Chrome asks (this tab or a new one)
+async function openSnappTab(disposition) {
+  const activeTabId = await getActiveSnappTabId();
+  if (activeTabId !== null && disposition === 'currentTab') {
+    return activeTabId;
+  }
+
+  const tab = disposition === 'currentTab'
+    ? await chrome.tabs.update({ url: SNAPP_EXPRESS_URL })
+    : await chrome.tabs.create({ url: SNAPP_EXPRESS_URL, active: disposition !== 'newBackgroundTab' });
+  await waitForTabComplete(tab.id);
+  return tab.id;
+}
+
+// "snapp شیر، ۲ نان، ماست" searches those items with the options of the last popup search
+async function runOmniboxList(text, disposition) {
+  const items = parseListText(text);
+  if (items.length === 0) {
+    return;
+  }
+
+  const { [LAST_LIST_SEARCH_STORAGE_KEY]: lastSearch } = await chrome.storage.local.get(LAST_LIST_SEARCH_STORAGE_KEY);
+  const tabId = await openSnappTab(disposition);
+  const response = await handleFindStoresForList({ items: items, options: lastSearch?.options || {} }, tabId);
+  if (!response.ok && !response.cancelled) {
+    showNotice(response.error);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  ensureWatchAlarm();
+  prunePriceHistory();
+  chrome.contextMenus.create({
+    id: ADD_SELECTION_MENU_ID,
+    title: 'افزودن «%s» به لیست خرید اسنپ',
+    contexts: ['selection']
+  });
+});
+chrome.runtime.onStartup.addListener(() => {
+  ensureWatchAlarm();
+  prunePriceHistory();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== ADD_SELECTION_MENU_ID) {
+    return;
+  }
+  addSelectionToList(info, tab).catch(error => {
+    console.error('Error adding selection to list:', error);
+    showNotice(`خطا: ${error.message}`);
+  });
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  if (command !== RUN_LAST_LIST_COMMAND) {
+    return;
+  }
+  runLastList().catch(error => {
+    console.error('Error running the last list:', error);
+  });
+});
+
+chrome.omnibox.setDefaultSuggestion({
+  description: 'جستجوی فروشگاه‌هایی که همه این محصولات را دارند: %s (محصولات را با کاما جدا کنید)'
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  runOmniboxList(text, disposition).catch(error => {
+    console.error('Error running omnibox list:', error);
+    showNotice(`خطا: ${error.message}`);
+  });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM_NAME) {
+    checkWatchedLists().catch(error => {
+      console.error('Error checking watched lists:', error);
+    });
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  const vendorCode = notificationId.split(':').pop();
+  if (vendorCode) {
+    chrome.tabs.create({ url: `${SNAPP_EXPRESS_URL}/supermarket/m/${vendorCode}` });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// Message listener for the popup and content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  (async () => {
+    try {
+      if (message.type === 'FIND_STORES_FOR_LIST') {
+        sendResponse(await handleFindStoresForList(message));
+      } else if (message.type === 'COMPARE_LOCATIONS') {
+        sendResponse(await handleCompareLocations(message));
+      } else if (message.type === 'CLEAR_SEARCH_CACHE') {
+        sendResponse({ ok: true, result: { removed: await pruneSearchCache(true) } });
+      } else if (message.type === 'CANCEL_SEARCH') {
+        sendResponse({ ok: true, cancelled: cancelActiveSearch() });
+      } else if (message.type === 'RETRY_FAILED_ITEMS') {
+        sendResponse(await handleRetryFailedItems(message));
+      } else if (message.type === 'ADD_PRODUCT_TO_LIST') {
+        sendResponse(await handleAddProductToList(message));
+      } else if (message.type === 'ADD_BASKET_TO_CART') {
+        const result = await addBasketToCart(message.vendor);
+        sendResponse({
+          ok: true,
+          result: result
+        });
+      } else if (message.type === 'SEARCH_CONTEXT') {
+        await updateSearchContext(message.payload || {});
+        sendResponse({ ok: true });
+      } else if (message.type === 'SESSION_CONTEXT') {
+        await updateSessionContext(message.payload || {});
+        sendResponse({ ok: true });
+      } else {
+        sendResponse({
+          ok: false,
+          error: 'نوع پیام نامشخص'
+        });
+      }
+    } catch (error) {
+      console.error('Error in background message handler:', error);
+      sendResponse({
+        ok: false,
+        error: error.message || 'خطای نامشخص رخ داد'
+      });
+    }
+  })();
+
+  return true;
+});
@@ -0,0 +1,271 @@
+// Shared helpers for Snapp Express Basket Helper
+// Loaded by the background service worker, the content script and the popup
+
+// chrome.storage key for the products pinned per item keyword
+const PINS_STORAGE_KEY = 'productPins';
+
+// chrome.storage key for the last search context captured from the site
+const SEARCH_CONTEXT_STORAGE_KEY = 'searchContext';
+
+// chrome.storage key for the saved shopping lists: { activeListId, lists: [{ id, name, items }] }.
+// An item added from a product page also has product: { id, title } and matches only that product.
+const LISTS_STORAGE_KEY = 'shoppingLists';
+
+const DEFAULT_LIST_NAME = 'لیست خرید';
+
+// chrome.storage key for the watched lists: { [listId]: { maxTotal, priceDropAlerts, lastCheck } },
+// where lastCheck is { checkedAt, completeCount, bestTotal, vendorTitle, priceDrops } from the
+// last background check
+const WATCHES_STORAGE_KEY = 'listWatches';
+
+// chrome.storage key for the named delivery addresses: [{ id, name, lat, long, selected }]
+const SAVED_LOCATIONS_STORAGE_KEY = 'savedLocations';
+
+// chrome.storage key for the synonym rules, kept as the text typed in the popup (one rule per line)
+const SYNONYMS_STORAGE_KEY = 'synonymRules';
+
+// Days of prior observations needed before a product has a "usual" price
+const USUAL_PRICE_MIN_OBSERVATIONS = 3;
+
+const PERSIAN_DIGITS = '۰۱۲۳۴۵۶۷۸۹';
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
+// Unique id for a saved list or location
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function toLatinDigits(text) {
+  return String(text)
+    .replace(/[۰-۹]/g, digit => PERSIAN_DIGITS.indexOf(digit).toString())
+    .replace(/[٠-٩]/g, digit => ARABIC_DIGITS.indexOf(digit).toString());
+}
+
+// Folds the spellings of the same Persian text onto one form, for queries and matching alike:
+// Arabic ي/ك, harakat and tatweel, Persian/Arabic digits, and zero-width non-joiners
+// that are doubled or sit at a word edge ("ماست‌" is "ماست")
+function normalizePersianText(text) {
+  return toLatinDigits(text)
+    .replace(/[يى]/g, 'ی')
+    .replace(/ك/g, 'ک')
+    .replace(/[ةۀ]/g, 'ه')
+    .replace(/[أإ]/g, 'ا')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[\u200B\u200D\uFEFF]/g, '')
+    .replace(/\u200C+/g, '\u200C')
+    .replace(/(^|\s)\u200C|\u200C(?=\s|$)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Units found in product titles, converted to grams (weight) or millilitres (volume)
+const SIZE_UNITS = [
+  { pattern: 'کیلوگرم|کیلو|kg', dimension: 'weight', factor: 1000 },
+  { pattern: 'میلی[\\s\\u200c]?لیتر|ml', dimension: 'volume', factor: 1 },
+  { pattern: 'سی[\\s\\u200c]?سی|cc', dimension: 'volume', factor: 1 },
+  { pattern: 'لیتر|liter|litre|lit|l', dimension: 'volume', factor: 1000 },
+  { pattern: 'گرم|grams?|gr|g', dimension: 'weight', factor: 1 }
+];
+
+const SIZE_PATTERN = new RegExp(
+  `(\\d+(?:[.,/٫]\\d+)?)\\s*(${SIZE_UNITS.map(unit => unit.pattern).join('|')})(?![a-z])`,
+  'i'
+);
+
+// Reads a size such as "۱.۵ لیتر", "900 گرم" or "1kg" into { dimension, amount }
+function parseSize(text) {
+  if (!text) {
+    return null;
+  }
+
+  const match = toLatinDigits(text).match(SIZE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const unit = SIZE_UNITS.find(({ pattern }) => new RegExp(`^(?:${pattern})$`, 'i').test(match[2]));
+  const [whole, fraction] = match[1].split(/[.,/٫]/);
+  const value = parseFloat(fraction !== undefined ? `${whole}.${fraction}` : whole);
+
+  return { dimension: unit.dimension, amount: value * unit.factor };
+}
+
+// Price the customer pays for one unit, after the product's own discount
+function getProductUnitPrice(product) {
+  if (!product || typeof product.price !== 'number') {
+    return null;
+  }
+  const discount = typeof product.discount === 'number' ? product.discount : 0;
+  return Math.max(product.price - discount, 0);
+}
+
+// Pins are remembered per item keyword, so the same wording always
+// resolves to the same product in every store that carries it
+function getPinKey(itemName) {
+  return normalizePersianText(itemName).toLowerCase();
+}
+
+async function loadProductPins() {
+  try {
+    const stored = await chrome.storage.local.get(PINS_STORAGE_KEY);
+    return stored[PINS_STORAGE_KEY] || {};
+  } catch (error) {
+    console.error('Error loading product pins:', error);
+    return {};
+  }
+}
+
+// Pins a product under the alternative it was found with. Pins on the item's
+// other alternatives are dropped so the choice stays unambiguous; a null
+// choice just clears them all.
+async function saveProductPin(alternatives, chosen) {
+  const pins = await loadProductPins();
+
+  alternatives.forEach(alternative => {
+    delete pins[getPinKey(alternative)];
+  });
+
+  if (chosen) {
+    pins[getPinKey(chosen.alternative)] = { id: chosen.product.id, title: chosen.product.title || null };
+  }
+
+  await chrome.storage.local.set({ [PINS_STORAGE_KEY]: pins });
+  return pins;
+}
+
+// Product ids are per store, so a pin also matches a candidate with the same title
+function findPinnedProduct(pin, candidates) {
+  if (!pin) {
+    return null;
+  }
+  return candidates.find(product => product.id === pin.id) ||
+    (pin.title ? candidates.find(product => product.title === pin.title) : null) ||
+    null;
+}
+
+// Whether a search result is the product a list item was saved from; like pins,
+// other stores' copies are recognised by their title
+function isSameProduct(product, productRef) {
+  return String(product.id) === String(productRef.id) ||
+    normalizePersianText(product.title || '') === normalizePersianText(productRef.title || '');
+}
+
+// offers: [{ alternative, candidates }] in the item's order of preference.
+// A pinned product wins; otherwise the first product of the first alternative the vendor carries.
+function buildMatchedLine({ name, quantity, alternatives }, offers, pins) {
+  let chosenOffer = offers[0];
+  let pinnedProduct = null;
+
+  for (const offer of offers) {
+    const product = findPinnedProduct(pins[getPinKey(offer.alternative)], offer.candidates);
+    if (product) {
+      chosenOffer = offer;
+      pinnedProduct = product;
+      break;
+    }
+  }
+
+  const productObj = pinnedProduct || chosenOffer.candidates[0];
+  const unitPrice = getProductUnitPrice(productObj);
+
+  return {
+    name: name,
+    quantity: quantity,
+    alternatives: alternatives,
+    alternative: chosenOffer.alternative,
+    offers: offers,
+    product: productObj,
+    candidates: offers.flatMap(offer => offer.candidates),
+    pinned: Boolean(pinnedProduct),
+    unitPrice: unitPrice,
+    linePrice: unitPrice !== null ? unitPrice * quantity : null
+  };
+}
+
+function updateVendorTotals(vendorResult) {
+  const subtotal = vendorResult.matchedProducts.reduce((sum, line) => sum + (line.linePrice || 0), 0);
+  vendorResult.subtotal = subtotal;
+  vendorResult.grandTotal = subtotal + (vendorResult.deliveryFee || 0);
+  vendorResult.hasUnknownPrices = vendorResult.matchedProducts.some(line => line.linePrice === null);
+}
+
+// Best coverage first, then the cheapest basket overall;
+// stores with unpriced items go after fully priced ones
+function sortVendorResults(vendorResults) {
+  vendorResults.sort((a, b) => {
+    if (a.missingItems.length !== b.missingItems.length) {
+      return a.missingItems.length - b.missingItems.length;
+    }
+    if (a.hasUnknownPrices !== b.hasUnknownPrices) {
+      return a.hasUnknownPrices ? 1 : -1;
+    }
+    return a.grandTotal - b.grandTotal;
+  });
+  return vendorResults;
+}
+
+// Re-resolves every line against the current pins, e.g. after the user pins a product
+function applyPinsToVendors(vendorResults, pins) {
+  vendorResults.forEach(vendorResult => {
+    vendorResult.matchedProducts = vendorResult.matchedProducts.map(line =>
+      buildMatchedLine(line, line.offers, pins)
+    );
+    updateVendorTotals(vendorResult);
+  });
+  return sortVendorResults(vendorResults);
+}
+
+function getPriceHistoryKey(vendorId, productId) {
+  return `${vendorId}:${productId}`;
+}
+
+// Local calendar day as YYYY-MM-DD, the granularity of the price history
+function getPriceHistoryDate(date = new Date()) {
+  return date.toLocaleDateString('en-CA');
+}
+
+// Median unit price over the days before today, or null with too few observations
+function getUsualPrice(entries) {
+  const today = getPriceHistoryDate();
+  const prices = (entries || [])
+    .filter(entry => entry.date !== today)
+    .map(entry => getProductUnitPrice(entry))
+    .filter(price => price !== null)
+    .sort((a, b) => a - b);
+
+  if (prices.length < USUAL_PRICE_MIN_OBSERVATIONS) {
+    return null;
+  }
+  const middle = Math.floor(prices.length / 2);
+  return prices.length % 2 === 1 ? prices[middle] : Math.round((prices[middle - 1] + prices[middle]) / 2);
+}
+
+function updateSplitPlanTotals(splitPlan) {
+  splitPlan.subtotal = splitPlan.stores.reduce((sum, store) => sum + store.subtotal, 0);
+  splitPlan.deliveryFees = splitPlan.stores.reduce((sum, store) => sum + (store.deliveryFee || 0), 0);
+  splitPlan.grandTotal = splitPlan.subtotal + splitPlan.deliveryFees;
+  splitPlan.hasUnknownPrices = splitPlan.stores.some(store => store.hasUnknownPrices);
+  return splitPlan;
+}
+
+function escapeCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of fields to CSV text, with a BOM up front so spreadsheet apps read the Persian text as UTF-8
+function formatCsv(rows) {
+  return '\uFEFF' + rows.map(fields => fields.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Saves text as a file through the browser's download (popup and page overlay only)
+function downloadTextFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName.replace(/[\\/:*?"<>|]/g, '-');
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,190 @@
+// List formats for Snapp Express Basket Helper
+// Turns pasted free text into list items, and reads and writes lists as
+// JSON or CSV files so they can be shared. Used by the popup, and by the
+// background worker for the context menu and omnibox.
+
+// Words that follow a count ("۲ عدد شیر", "شیر ۳ تا")
+const COUNT_WORDS = 'عدد|تا|دانه|دونه|بسته|قوطی|بطری|شیشه|کارتن|پک|x|×';
+
+// Numbered or bulleted line starts: "1.", "۲)", "3-", "-", "*", "•". A number followed by a
+// digit is a decimal ("1.5 لیتر نوشابه"), not a list number
+const LIST_MARKER_PATTERN = /^\s*(?:\d+\s*[.)\-:](?!\d)|[-*•▪◦●○☐□✅✔]+)\s*/u;
+
+const LEADING_COUNT_PATTERN = new RegExp(`^(?:[x×]\\s*)?(\\d+)\\s*(?:(?:${COUNT_WORDS})\\s+|\\s+)`, 'i');
+const TRAILING_COUNT_PATTERN = new RegExp(`\\s+(?:[x×]\\s*)?(\\d+)\\s*(?:${COUNT_WORDS})?$`, 'i');
+
+// A size written in the line ("1kg", "۲ لیتری"); group 3 is the adjective ending, which
+// is not part of the unit ("300 سی سی" keeps its last ی)
+const LINE_SIZE_PATTERN = new RegExp(`${SIZE_PATTERN.source}(ی)?`, 'i');
+
+// Columns of the CSV format, in order; an item's saved product is only kept in JSON
+const CSV_COLUMNS = ['name', 'quantity', 'brand', 'minSize', 'maxSize', 'maxPrice', 'exclude'];
+const CONSTRAINT_FIELDS = ['brand', 'minSize', 'maxSize', 'maxPrice', 'exclude'];
+
+// Reads one line such as "۲ عدد شیر", "1kg برنج", "1.5 لیتر نوشابه" or "- ماست x3" into
+// { name, quantity, constraints? }. A size becomes the item's exact size constraint;
+// returns null for a line with no name.
+function parseListLine(line) {
+  let text = toLatinDigits(line).replace(LIST_MARKER_PATTERN, '').trim();
+  let quantity = 1;
+  let size = null;
+
+  const sizeMatch = text.match(LINE_SIZE_PATTERN);
+  if (sizeMatch) {
+    size = sizeMatch[0].slice(0, sizeMatch[0].length - (sizeMatch[3] || '').length).trim();
+    text = `${text.slice(0, sizeMatch.index)} ${text.slice(sizeMatch.index + sizeMatch[0].length)}`.trim();
+  }
+
+  const leadingCount = text.match(LEADING_COUNT_PATTERN);
+  const trailingCount = text.match(TRAILING_COUNT_PATTERN);
+  if (leadingCount) {
+    quantity = parseInt(leadingCount[1], 10);
+    text = text.slice(leadingCount[0].length);
+  } else if (trailingCount) {
+    quantity = parseInt(trailingCount[1], 10);
+    text = text.slice(0, trailingCount.index);
+  }
+
+  const name = text.replace(/[.,،:;؛]+$/, '').replace(/\s+/g, ' ').trim();
+  if (!name) {
+    return null;
+  }
+
+  const item = { name: name, quantity: quantity > 0 ? quantity : 1 };
+  if (size) {
+    item.constraints = { minSize: size, maxSize: size };
+  }
+  return item;
+}
+
+// One item per line; a single line of a chat message may list items separated by commas
+function parseListText(text) {
+  let lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 1) {
+    lines = lines[0].split(/[,،]/);
+  }
+  return lines.map(parseListLine).filter(Boolean);
+}
+
+// Keeps only the fields a list item has, dropping empty constraints
+function sanitizeListItem(item) {
+  const name = typeof item === 'string' ? item : item?.name;
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return null;
+  }
+
+  const quantity = parseInt(toLatinDigits(item?.quantity ?? 1), 10);
+  const sanitized = { name: name.trim(), quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : 1 };
+
+  const constraints = {};
+  CONSTRAINT_FIELDS.forEach(field => {
+    const value = item?.constraints?.[field];
+    const text = Array.isArray(value) ? value.join('، ') : String(value ?? '').trim();
+    if (text) {
+      constraints[field] = text;
+    }
+  });
+  if (Object.keys(constraints).length > 0) {
+    sanitized.constraints = constraints;
+  }
+  if (item?.product && item.product.id != null && typeof item.product.title === 'string') {
+    sanitized.product = { id: item.product.id, title: item.product.title };
+  }
+
+  return sanitized;
+}
+
+// Accepts an exported list ({ name, items }), an array of items, or an array of names
+function parseListJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('فایل JSON لیست معتبری ندارد');
+  }
+  return {
+    name: typeof data?.name === 'string' ? data.name.trim() : '',
+    items: items.map(sanitizeListItem).filter(Boolean)
+  };
+}
+
+function formatListJson(list) {
+  return JSON.stringify({ name: list.name, items: list.items.map(sanitizeListItem).filter(Boolean) }, null, 2);
+}
+
+// Splits CSV text into rows of fields, honouring quoted fields with commas, quotes and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// Reads a CSV with the CSV_COLUMNS header; without a header the columns are taken in that order
+function parseListCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { name: '', items: [] };
+  }
+
+  const header = rows[0].map(value => value.trim());
+  const hasHeader = header.includes('name');
+  const columns = hasHeader ? header : CSV_COLUMNS;
+
+  const items = rows.slice(hasHeader ? 1 : 0).map(fields => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] || '').trim();
+    });
+    const constraints = {};
+    CONSTRAINT_FIELDS.forEach(field => {
+      if (record[field]) {
+        constraints[field] = record[field];
+      }
+    });
+    return sanitizeListItem({ name: record.name, quantity: record.quantity, constraints: constraints });
+  });
+
+  return { name: '', items: items.filter(Boolean) };
+}
+
+function formatListCsv(list) {
+  const rows = list.items.map(sanitizeListItem).filter(Boolean).map(item =>
+    CSV_COLUMNS.map(column => column === 'name' || column === 'quantity' ? item[column] : item.constraints?.[column])
+  );
+  return formatCsv([CSV_COLUMNS, ...rows]);
+}
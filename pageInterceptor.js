@@ -21,6 +21,8 @@
     
     if (urlString && urlString.startsWith(API_BASE_URL)) {
       extractAndSendParams(urlString);
+      extractAndSendSession(url instanceof Request ? url.headers : null);
+      extractAndSendSession(args[1] && args[1].headers);
     }
     
     return originalFetch.apply(this, args);
@@ -33,9 +35,64 @@
       extractAndSendParams(url);
     }
     
+    this.__snappExtIsApiRequest = typeof url === 'string' && url.startsWith(API_BASE_URL);
+    
     return originalOpen.apply(this, [method, url, ...rest]);
   };
 
+  const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+    if (this.__snappExtIsApiRequest && typeof name === 'string' && name.toLowerCase() === 'authorization') {
+      sendSession(value);
+    }
+    
+    return originalSetRequestHeader.apply(this, [name, value]);
+  };
+
+  // Reads the Authorization header from any form fetch accepts (Headers, array or plain object)
+  function extractAndSendSession(headers) {
+    if (!headers) {
+      return;
+    }
+    
+    try {
+      let authorization = null;
+      
+      if (headers instanceof Headers) {
+        authorization = headers.get('authorization');
+      } else if (Array.isArray(headers)) {
+        const entry = headers.find(([name]) => name.toLowerCase() === 'authorization');
+        authorization = entry ? entry[1] : null;
+      } else if (typeof headers === 'object') {
+        const key = Object.keys(headers).find(name => name.toLowerCase() === 'authorization');
+        authorization = key ? headers[key] : null;
+      }
+      
+      if (authorization) {
+        sendSession(authorization);
+      }
+    } catch (error) {
+      console.error('Snapp Extension: Error extracting session from headers:', error);
+    }
+  }
+
+  let lastAuthorization = null;
+
+  function sendSession(authorization) {
+    if (!authorization || authorization === lastAuthorization) {
+      return;
+    }
+    lastAuthorization = authorization;
+    
+    window.postMessage({
+      source: 'SNAPP_EXT',
+      type: 'SESSION_CONTEXT',
+      payload: {
+        authorization: authorization
+      }
+    }, '*');
+  }
+
   function extractAndSendParams(urlString) {
     try {
       const url = new URL(urlString);
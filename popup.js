@@ -1,50 +1,568 @@
-// Initialize popup with default product inputs
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize popup with the active saved list
+document.addEventListener('DOMContentLoaded', async () => {
   const productList = document.getElementById('product-list');
   const addProductBtn = document.getElementById('add-product');
   const findStoresBtn = document.getElementById('find-stores');
   const statusDiv = document.getElementById('status');
+  const maxPagesInput = document.getElementById('max-pages');
+  const maxMissingInput = document.getElementById('max-missing');
+  const allowThreeStoresInput = document.getElementById('allow-three-stores');
+  const cacheTtlInput = document.getElementById('cache-ttl');
+  const forceRefreshInput = document.getElementById('force-refresh');
+  const clearCacheBtn = document.getElementById('clear-cache');
+  const listSelect = document.getElementById('list-select');
+  const listNameInput = document.getElementById('list-name');
+  const newListBtn = document.getElementById('new-list');
+  const duplicateListBtn = document.getElementById('duplicate-list');
+  const deleteListBtn = document.getElementById('delete-list');
+  const locationInfo = document.getElementById('location-info');
+  const resultsContainer = document.getElementById('results');
+  const savedLocationsList = document.getElementById('saved-locations');
+  const locationNameInput = document.getElementById('location-name');
+  const saveLocationBtn = document.getElementById('save-location');
+  const compareLocationsBtn = document.getElementById('compare-locations');
+  const watchListInput = document.getElementById('watch-list');
+  const watchMaxTotalInput = document.getElementById('watch-max-total');
+  const watchPriceDropsInput = document.getElementById('watch-price-drops');
+  const watchStatus = document.getElementById('watch-status');
+  const synonymRulesInput = document.getElementById('synonym-rules');
+  const listTextInput = document.getElementById('list-text');
+  const addListTextBtn = document.getElementById('add-list-text');
+  const importListBtn = document.getElementById('import-list');
+  const importFileInput = document.getElementById('import-file');
+  const exportJsonBtn = document.getElementById('export-json');
+  const exportCsvBtn = document.getElementById('export-csv');
 
-  // Create initial 2 product input rows
-  for (let i = 0; i < 2; i++) {
-    addProductInput();
-  }
+  let listsState = await loadLists();
+  // Bumped on every search, so the answer to a replaced search is ignored
+  let searchRequestId = 0;
+  
+  const storedContext = await chrome.storage.local.get([
+    SEARCH_CONTEXT_STORAGE_KEY,
+    SAVED_LOCATIONS_STORAGE_KEY,
+    WATCHES_STORAGE_KEY,
+    SYNONYMS_STORAGE_KEY
+  ]);
+  let activeContext = storedContext[SEARCH_CONTEXT_STORAGE_KEY];
+  let savedLocations = storedContext[SAVED_LOCATIONS_STORAGE_KEY] || [];
+  let watches = storedContext[WATCHES_STORAGE_KEY] || {};
+  renderListSelector();
+  renderActiveList();
+  renderLocationInfo(activeContext);
+  renderSavedLocations();
+  synonymRulesInput.value = storedContext[SYNONYMS_STORAGE_KEY] || '';
+  
+  // The background worker saves a new context whenever the site reports a new location
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SEARCH_CONTEXT_STORAGE_KEY]) {
+      activeContext = changes[SEARCH_CONTEXT_STORAGE_KEY].newValue;
+      renderLocationInfo(activeContext);
+    }
+    // The background worker records each check of a watched list
+    if (areaName === 'local' && changes[WATCHES_STORAGE_KEY]) {
+      watches = changes[WATCHES_STORAGE_KEY].newValue || {};
+      renderWatchControls();
+    }
+  });
 
-  // Focus first input when popup opens
-  const firstInput = productList.querySelector('input');
-  if (firstInput) {
-    firstInput.focus();
-  }
+  // Per-item progress of the search running in the background worker
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'SEARCH_PROGRESS' && message.progress.state === 'running') {
+      injectResultsStyles();
+      if (renderSearchProgress(resultsContainer, message.progress)) {
+        resultsContainer.hidden = false;
+      }
+    }
+  });
 
   // Add product button handler
   addProductBtn.addEventListener('click', () => {
     addProductInput();
   });
 
+  // Autosave the active list on every edit
+  productList.addEventListener('input', () => {
+    saveActiveListItems();
+  });
+
+  listSelect.addEventListener('change', () => {
+    listsState.activeListId = listSelect.value;
+    saveLists();
+    renderListSelector();
+    renderActiveList();
+  });
+
+  listNameInput.addEventListener('input', () => {
+    const name = listNameInput.value.trim();
+    if (!name) {
+      return;
+    }
+    getActiveList().name = name;
+    saveLists();
+    renderListSelector();
+  });
+
+  // Put back the saved name if the field is left empty
+  listNameInput.addEventListener('blur', () => {
+    listNameInput.value = getActiveList().name;
+  });
+
+  newListBtn.addEventListener('click', () => {
+    const list = createList(`${DEFAULT_LIST_NAME} ${(listsState.lists.length + 1).toLocaleString('fa-IR')}`, []);
+    listsState.lists.push(list);
+    listsState.activeListId = list.id;
+    saveLists();
+    renderListSelector();
+    renderActiveList();
+    listNameInput.select();
+  });
+
+  duplicateListBtn.addEventListener('click', () => {
+    const source = getActiveList();
+    const list = createList(`${source.name} (کپی)`, source.items.map(item => ({ ...item })));
+    listsState.lists.push(list);
+    listsState.activeListId = list.id;
+    saveLists();
+    renderListSelector();
+    renderActiveList();
+  });
+
+  deleteListBtn.addEventListener('click', () => {
+    const list = getActiveList();
+    if (!confirm(`لیست «${list.name}» حذف شود؟`)) {
+      return;
+    }
+    listsState.lists = listsState.lists.filter(({ id }) => id !== list.id);
+    updateWatch(list.id, null);
+    if (listsState.lists.length === 0) {
+      listsState.lists.push(createList(DEFAULT_LIST_NAME, []));
+    }
+    listsState.activeListId = listsState.lists[0].id;
+    saveLists();
+    renderListSelector();
+    renderActiveList();
+  });
+
+  clearCacheBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_SEARCH_CACHE' });
+      if (!response || !response.ok) {
+        throw new Error(response?.error || 'خطای نامشخص رخ داد');
+      }
+      setStatus('نتایج ذخیره‌شده پاک شد. جستجوی بعدی همه محصولات را دوباره از سایت می‌گیرد.', 'success');
+    } catch (error) {
+      console.error('Error clearing search cache:', error);
+      setStatus(`خطا: ${error.message}`, 'error');
+    }
+  });
+
+  addListTextBtn.addEventListener('click', () => {
+    const items = parseListText(listTextInput.value);
+    if (items.length === 0) {
+      setStatus('محصولی در متن پیدا نشد', 'warning');
+      return;
+    }
+    addItemsToActiveList(items);
+    listTextInput.value = '';
+    setStatus(`${items.length.toLocaleString('fa-IR')} محصول به لیست اضافه شد`, 'success');
+  });
+
+  importListBtn.addEventListener('click', () => {
+    importFileInput.click();
+  });
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (file) {
+      await importListFile(file);
+    }
+  });
+
+  exportJsonBtn.addEventListener('click', () => {
+    const list = getActiveList();
+    downloadTextFile(`${list.name}.json`, formatListJson(list), 'application/json');
+  });
+
+  exportCsvBtn.addEventListener('click', () => {
+    const list = getActiveList();
+    downloadTextFile(`${list.name}.csv`, formatListCsv(list), 'text/csv');
+  });
+
+  // The background worker reads the rules at the start of every search
+  synonymRulesInput.addEventListener('input', () => {
+    chrome.storage.local.set({ [SYNONYMS_STORAGE_KEY]: synonymRulesInput.value }).catch(error => {
+      console.error('Error saving synonym rules:', error);
+    });
+  });
+
+  watchListInput.addEventListener('change', () => {
+    const listId = getActiveList().id;
+    updateWatch(listId, watchListInput.checked
+      ? { maxTotal: readWatchMaxTotal(), priceDropAlerts: watchPriceDropsInput.checked }
+      : null);
+  });
+
+  watchPriceDropsInput.addEventListener('change', () => {
+    const listId = getActiveList().id;
+    if (watches[listId]) {
+      updateWatch(listId, { ...watches[listId], priceDropAlerts: watchPriceDropsInput.checked });
+    }
+  });
+
+  watchMaxTotalInput.addEventListener('change', () => {
+    const listId = getActiveList().id;
+    if (watches[listId]) {
+      updateWatch(listId, { ...watches[listId], maxTotal: readWatchMaxTotal() });
+    }
+  });
+
+  saveLocationBtn.addEventListener('click', () => {
+    if (!activeContext || activeContext.lat == null || activeContext.long == null) {
+      setStatus('موقعیتی برای ذخیره وجود ندارد؛ ابتدا یک محصول را در سایت جستجو کنید.', 'warning');
+      return;
+    }
+
+    const name = locationNameInput.value.trim()
+      || `آدرس ${(savedLocations.length + 1).toLocaleString('fa-IR')}`;
+    const existing = savedLocations.find(({ lat, long }) => lat === activeContext.lat && long === activeContext.long);
+
+    // Saving the same coordinates again only renames them
+    if (existing) {
+      existing.name = name;
+    } else {
+      savedLocations.push({
+        id: createId(),
+        name: name,
+        lat: activeContext.lat,
+        long: activeContext.long,
+        selected: true
+      });
+    }
+
+    locationNameInput.value = '';
+    saveSavedLocations();
+    renderSavedLocations();
+  });
+
+  compareLocationsBtn.addEventListener('click', async () => {
+    await handleCompareLocations();
+  });
+
   // Find stores button handler
   findStoresBtn.addEventListener('click', async () => {
     await handleFindStores();
   });
 
+  /**
+   * @returns {number|null} The watch's price threshold, or null if none is set
+   */
+  function readWatchMaxTotal() {
+    const value = parseInt(toLatinDigits(watchMaxTotalInput.value), 10);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  /**
+   * Starts, changes or (with null) stops the watch of a list. Re-reads storage first,
+   * since the background worker writes the result of each check to the same key.
+   * @param {string} listId
+   * @param {Object|null} watch - { maxTotal, priceDropAlerts }, keeping lastCheck if already watched
+   */
+  async function updateWatch(listId, watch) {
+    try {
+      const stored = await chrome.storage.local.get(WATCHES_STORAGE_KEY);
+      const current = stored[WATCHES_STORAGE_KEY] || {};
+      if (watch) {
+        current[listId] = { ...current[listId], ...watch };
+      } else {
+        delete current[listId];
+      }
+      watches = current;
+      await chrome.storage.local.set({ [WATCHES_STORAGE_KEY]: current });
+    } catch (error) {
+      console.error('Error saving list watch:', error);
+    }
+    renderWatchControls();
+  }
+
+  /**
+   * Shows whether the active list is watched and what the last background check found
+   */
+  function renderWatchControls() {
+    const watch = watches[getActiveList().id];
+    watchListInput.checked = Boolean(watch);
+    watchMaxTotalInput.disabled = !watch;
+    watchPriceDropsInput.disabled = !watch;
+    watchPriceDropsInput.checked = Boolean(watch?.priceDropAlerts);
+    if (document.activeElement !== watchMaxTotalInput) {
+      watchMaxTotalInput.value = watch?.maxTotal ?? '';
+    }
+
+    const lastCheck = watch?.lastCheck;
+    watchStatus.hidden = !watch;
+    if (!watch) {
+      return;
+    }
+    if (!lastCheck) {
+      watchStatus.textContent = 'هر ۳۰ دقیقه بررسی می‌شود؛ وقتی فروشگاهی همه محصولات را داشته باشد اعلان می‌گیرید.';
+      return;
+    }
+
+    const checkedAt = new Date(lastCheck.checkedAt).toLocaleString('fa-IR');
+    watchStatus.textContent = lastCheck.completeCount > 0
+      ? `آخرین بررسی (${checkedAt}): ارزان‌ترین «${lastCheck.vendorTitle}» با ${formatPrice(lastCheck.bestTotal)}`
+      : `آخرین بررسی (${checkedAt}): هنوز هیچ فروشگاهی همه محصولات را ندارد.`;
+  }
+
+  /**
+   * Renders the saved addresses with a checkbox to include each in comparisons
+   */
+  function renderSavedLocations() {
+    savedLocationsList.innerHTML = '';
+
+    if (savedLocations.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'saved-locations-empty';
+      empty.textContent = 'هنوز آدرسی ذخیره نشده است. موقعیت فعال را با یک نام ذخیره کنید.';
+      savedLocationsList.appendChild(empty);
+      return;
+    }
+
+    savedLocations.forEach(location => {
+      const row = document.createElement('li');
+      row.className = 'saved-location';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = location.selected !== false;
+      checkbox.addEventListener('change', () => {
+        location.selected = checkbox.checked;
+        saveSavedLocations();
+      });
+      label.append(checkbox, location.name);
+      row.appendChild(label);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'icon-btn';
+      deleteBtn.title = 'حذف آدرس';
+      deleteBtn.textContent = '🗑';
+      deleteBtn.addEventListener('click', () => {
+        savedLocations = savedLocations.filter(({ id }) => id !== location.id);
+        saveSavedLocations();
+        renderSavedLocations();
+      });
+      row.appendChild(deleteBtn);
+
+      savedLocationsList.appendChild(row);
+    });
+  }
+
+  function saveSavedLocations() {
+    chrome.storage.local.set({ [SAVED_LOCATIONS_STORAGE_KEY]: savedLocations }).catch(error => {
+      console.error('Error saving locations:', error);
+    });
+  }
+
+  /**
+   * Shows which location searches will use
+   * @param {Object|undefined} context - Stored search context
+   */
+  function renderLocationInfo(context) {
+    locationInfo.innerHTML = '';
+    
+    if (!context || context.lat == null || context.long == null) {
+      locationInfo.className = 'location-info missing';
+      locationInfo.textContent = 'موقعیتی ذخیره نشده است؛ یک محصول را در سایت جستجو کنید.';
+      return;
+    }
+    
+    const lat = parseFloat(context.lat).toFixed(4);
+    const long = parseFloat(context.long).toFixed(4);
+    
+    const mapLink = document.createElement('a');
+    mapLink.href = `https://www.openstreetmap.org/?mlat=${context.lat}&mlon=${context.long}#map=16/${context.lat}/${context.long}`;
+    mapLink.target = '_blank';
+    mapLink.textContent = `${lat}، ${long}`;
+    
+    const updatedAt = context.updatedAt
+      ? ` (به‌روزرسانی ${new Date(context.updatedAt).toLocaleString('fa-IR')})`
+      : '';
+    
+    locationInfo.className = 'location-info';
+    locationInfo.append('📍 موقعیت فعال: ', mapLink, updatedAt);
+  }
+
+  /**
+   * Creates a new saved list object
+   * @param {string} name - List name
+   * @param {{name: string, quantity: number}[]} items - List items
+   * @returns {{id: string, name: string, items: Object[]}}
+   */
+  function createList(name, items) {
+    return {
+      id: createId(),
+      name: name,
+      items: items
+    };
+  }
+
+  /**
+   * Loads saved lists from storage, creating a default list on first use
+   * @returns {Promise<{activeListId: string, lists: Object[]}>}
+   */
+  async function loadLists() {
+    const stored = await chrome.storage.local.get(LISTS_STORAGE_KEY);
+    const state = stored[LISTS_STORAGE_KEY];
+    
+    if (state && Array.isArray(state.lists) && state.lists.length > 0) {
+      if (!state.lists.some(({ id }) => id === state.activeListId)) {
+        state.activeListId = state.lists[0].id;
+      }
+      return state;
+    }
+    
+    const list = createList(DEFAULT_LIST_NAME, []);
+    return { activeListId: list.id, lists: [list] };
+  }
+
+  /**
+   * Persists all saved lists
+   */
+  function saveLists() {
+    chrome.storage.local.set({ [LISTS_STORAGE_KEY]: listsState }).catch(error => {
+      console.error('Error saving shopping lists:', error);
+    });
+  }
+
+  /**
+   * @returns {{id: string, name: string, items: Object[]}} The list being edited
+   */
+  function getActiveList() {
+    return listsState.lists.find(({ id }) => id === listsState.activeListId);
+  }
+
+  /**
+   * Copies the current rows into the active list and saves it
+   */
+  function saveActiveListItems() {
+    getActiveList().items = collectProducts();
+    saveLists();
+  }
+
+  /**
+   * Fills the list selector and the name field
+   */
+  function renderListSelector() {
+    listSelect.innerHTML = '';
+    listsState.lists.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      listSelect.appendChild(option);
+    });
+    listSelect.value = listsState.activeListId;
+    
+    if (document.activeElement !== listNameInput) {
+      listNameInput.value = getActiveList().name;
+    }
+  }
+
+  /**
+   * Rebuilds the product rows from the active list
+   */
+  function renderActiveList() {
+    productList.innerHTML = '';
+    renderWatchControls();
+    
+    const { items } = getActiveList();
+    items.forEach(item => addProductInput(item));
+    
+    // Always offer at least 2 rows to type into
+    for (let i = items.length; i < 2; i++) {
+      addProductInput();
+    }
+    
+    // Focus first empty input, or the first one if the list is full
+    const inputs = Array.from(productList.querySelectorAll('.product-name-input'));
+    const target = inputs.find(input => !input.value) || inputs[0];
+    if (target) {
+      target.focus();
+    }
+  }
+
   /**
    * Adds a new product input row to the list
+   * @param {{name: string, quantity: number, constraints?: Object}} [item] - Saved values to fill in
    */
-  function addProductInput() {
+  function addProductInput(item = {}) {
     const row = document.createElement('div');
     row.className = 'product-row';
     
     const input = document.createElement('input');
     input.type = 'text';
+    input.className = 'product-name-input';
     input.placeholder = 'نام محصول';
+    input.title = 'برای چند گزینه جایگزین، آن‌ها را با | جدا کنید (مثلاً کره | مارگارین)';
+    input.value = item.name || '';
     
-    // Add Enter key handler to trigger search
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        handleFindStores();
+    // Items added from a product page match only that product while the name is left as saved
+    if (item.product) {
+      row.dataset.product = JSON.stringify(item.product);
+      input.classList.add('linked');
+      input.title = `فقط همین محصول جستجو می‌شود: ${item.product.title}. با تغییر نام، جستجوی عادی انجام می‌شود.`;
+    }
+    
+    const quantityInput = document.createElement('input');
+    quantityInput.type = 'number';
+    quantityInput.className = 'quantity-input';
+    quantityInput.min = '1';
+    quantityInput.value = String(item.quantity || 1);
+    quantityInput.title = 'تعداد';
+    
+    // A pasted multi-line list becomes one row per line
+    input.addEventListener('paste', (e) => {
+      const text = e.clipboardData.getData('text/plain');
+      if (!/[\r\n]/.test(text.trim())) {
+        return;
+      }
+      const items = parseListText(text);
+      if (items.length === 0) {
+        return;
       }
+      e.preventDefault();
+      addItemsToActiveList(items);
+    });
+    
+    // Add Enter key handler to trigger search
+    [input, quantityInput].forEach(field => {
+      field.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          handleFindStores();
+        }
+      });
+    });
+    
+    const constraintsPanel = createConstraintsPanel(item.constraints || {});
+    
+    const constraintsBtn = document.createElement('button');
+    constraintsBtn.className = 'constraints-btn';
+    constraintsBtn.textContent = '⚙';
+    constraintsBtn.title = 'شرط‌های محصول';
+    constraintsBtn.type = 'button';
+    constraintsBtn.tabIndex = -1;
+    constraintsBtn.addEventListener('click', () => {
+      constraintsPanel.hidden = !constraintsPanel.hidden;
     });
     
+    const updateConstraintsIndicator = () => {
+      constraintsBtn.classList.toggle('active', readConstraints(constraintsPanel) !== null);
+    };
+    constraintsPanel.addEventListener('input', updateConstraintsIndicator);
+    updateConstraintsIndicator();
+    
     const removeBtn = document.createElement('button');
     removeBtn.className = 'remove-product-btn';
     removeBtn.textContent = '×';
@@ -56,7 +574,10 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     row.appendChild(input);
+    row.appendChild(quantityInput);
+    row.appendChild(constraintsBtn);
     row.appendChild(removeBtn);
+    row.appendChild(constraintsPanel);
     productList.appendChild(row);
     
     // Update remove button visibility
@@ -66,6 +587,96 @@ document.addEventListener('DOMContentLoaded', () => {
     input.focus();
   }
 
+  /**
+   * Appends items to the active list, replacing its empty rows
+   * @param {{name: string, quantity: number, constraints?: Object}[]} items - Items to add
+   */
+  function addItemsToActiveList(items) {
+    productList.querySelectorAll('.product-row').forEach(row => {
+      if (!row.querySelector('.product-name-input').value.trim()) {
+        row.remove();
+      }
+    });
+    items.forEach(item => addProductInput(item));
+    saveActiveListItems();
+  }
+
+  /**
+   * Reads a JSON or CSV list file into a new saved list
+   * @param {File} file - The chosen file
+   */
+  async function importListFile(file) {
+    try {
+      const text = await file.text();
+      const isJson = /\.json$/i.test(file.name) || text.trim().startsWith('{') || text.trim().startsWith('[');
+      const imported = isJson ? parseListJson(text) : parseListCsv(text);
+      if (imported.items.length === 0) {
+        throw new Error('محصولی در فایل پیدا نشد');
+      }
+      
+      const name = imported.name || file.name.replace(/\.(json|csv)$/i, '') || DEFAULT_LIST_NAME;
+      const list = createList(name, imported.items);
+      listsState.lists.push(list);
+      listsState.activeListId = list.id;
+      saveLists();
+      renderListSelector();
+      renderActiveList();
+      setStatus(`لیست «${name}» با ${imported.items.length.toLocaleString('fa-IR')} محصول وارد شد`, 'success');
+    } catch (error) {
+      console.error('Error importing list:', error);
+      setStatus(`خطا در وارد کردن فایل: ${error instanceof SyntaxError ? 'فایل JSON معتبر نیست' : error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Builds the hidden panel of optional constraints for a row
+   * @param {Object} constraints - Saved constraint values
+   * @returns {HTMLElement} The panel element
+   */
+  function createConstraintsPanel(constraints) {
+    const panel = document.createElement('div');
+    panel.className = 'constraints-panel';
+    panel.hidden = true;
+    
+    const fields = [
+      { key: 'brand', placeholder: 'برند (مثلاً میهن)' },
+      { key: 'minSize', placeholder: 'حداقل اندازه (مثلاً ۱ لیتر)' },
+      { key: 'maxSize', placeholder: 'حداکثر اندازه (مثلاً ۲ کیلو)' },
+      { key: 'maxPrice', placeholder: 'حداکثر قیمت واحد (تومان)' },
+      { key: 'exclude', placeholder: 'کلمات نامطلوب، جدا با کاما (مثلاً رژیمی، کودک)' }
+    ];
+    
+    fields.forEach(({ key, placeholder }) => {
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.className = 'constraint-input';
+      field.dataset.constraint = key;
+      field.placeholder = placeholder;
+      field.value = Array.isArray(constraints[key]) ? constraints[key].join('، ') : (constraints[key] || '');
+      panel.appendChild(field);
+    });
+    
+    return panel;
+  }
+
+  /**
+   * Reads the filled-in constraint fields of a panel
+   * @param {HTMLElement} panel - The constraints panel
+   * @returns {Object|null} Constraint values, or null if none are set
+   */
+  function readConstraints(panel) {
+    const constraints = {};
+    
+    panel.querySelectorAll('.constraint-input').forEach(field => {
+      const value = field.value.trim();
+      if (value) {
+        constraints[field.dataset.constraint] = value;
+      }
+    });
+    
+    return Object.keys(constraints).length > 0 ? constraints : null;
+  }
+
   /**
    * Removes a product input row
    * @param {HTMLElement} row - The row element to remove
@@ -78,6 +689,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     row.remove();
     updateRemoveButtonsVisibility();
+    saveActiveListItems();
   }
 
   /**
@@ -98,17 +710,30 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Collects all non-empty product names from input fields
-   * @returns {string[]} Array of product names
+   * Collects all non-empty product rows with their quantities, constraints and saved products
+   * @returns {{name: string, quantity: number, constraints?: Object, product?: Object}[]} Array of list items
    */
   function collectProducts() {
-    const inputs = productList.querySelectorAll('input');
+    const rows = productList.querySelectorAll('.product-row');
     const products = [];
     
-    inputs.forEach(input => {
-      const value = input.value.trim();
-      if (value) {
-        products.push(value);
+    rows.forEach(row => {
+      const name = row.querySelector('.product-name-input').value.trim();
+      const quantity = parseInt(row.querySelector('.quantity-input').value, 10);
+      if (name) {
+        const product = {
+          name: name,
+          quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : 1
+        };
+        const constraints = readConstraints(row.querySelector('.constraints-panel'));
+        if (constraints) {
+          product.constraints = constraints;
+        }
+        const productRef = row.dataset.product ? JSON.parse(row.dataset.product) : null;
+        if (productRef && productRef.title === name) {
+          product.product = productRef;
+        }
+        products.push(product);
       }
     });
     
@@ -133,6 +758,74 @@ document.addEventListener('DOMContentLoaded', () => {
     statusDiv.className = 'status';
   }
 
+  /**
+   * @returns {Object} Search options from the "تنظیمات جستجو" section
+   */
+  function getSearchOptions() {
+    return {
+      maxPages: parseInt(maxPagesInput.value, 10),
+      maxMissing: parseInt(maxMissingInput.value, 10),
+      maxSplitStores: allowThreeStoresInput.checked ? 3 : 2,
+      cacheTtlMinutes: parseInt(cacheTtlInput.value, 10),
+      forceRefresh: forceRefreshInput.checked
+    };
+  }
+
+  /**
+   * Runs the list at every selected saved address and shows the comparison
+   */
+  async function handleCompareLocations() {
+    clearStatus();
+
+    const products = collectProducts();
+    if (products.length === 0) {
+      setStatus('لطفاً حداقل یک نام محصول وارد کنید.', 'warning');
+      return;
+    }
+
+    const locationIds = savedLocations
+      .filter(({ selected }) => selected !== false)
+      .map(({ id }) => id);
+    if (locationIds.length === 0) {
+      setStatus('لطفاً حداقل یک آدرس ذخیره‌شده را انتخاب کنید.', 'warning');
+      return;
+    }
+
+    const requestId = ++searchRequestId;
+    resultsContainer.innerHTML = '';
+    resultsContainer.hidden = true;
+    setStatus(`در حال مقایسه در ${locationIds.length.toLocaleString('fa-IR')} آدرس...`, 'info');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'COMPARE_LOCATIONS',
+        items: products,
+        locationIds: locationIds,
+        options: getSearchOptions()
+      });
+
+      if (requestId !== searchRequestId) {
+        return;
+      }
+
+      if (response && response.cancelled) {
+        setStatus(response.error, 'info');
+      } else if (response && response.ok) {
+        clearStatus();
+        injectResultsStyles();
+        resultsContainer.hidden = false;
+        renderLocationComparison(resultsContainer, response.result);
+      } else {
+        setStatus(`خطا: ${response?.error || 'خطای نامشخص رخ داد'}`, 'error');
+      }
+    } catch (error) {
+      console.error('Error in handleCompareLocations:', error);
+      if (requestId === searchRequestId) {
+        setStatus(`خطا: ${error.message}`, 'error');
+      }
+    }
+  }
+
   /**
    * Handles the "Find stores" button click
    */
@@ -148,55 +841,67 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    // Disable button during search
-    findStoresBtn.disabled = true;
-    setStatus('در حال بررسی تب فعال...', 'info');
+    // A new search replaces (and cancels) one that is still running
+    const requestId = ++searchRequestId;
+    resultsContainer.innerHTML = '';
+    resultsContainer.hidden = true;
+    setStatus('در حال جستجوی فروشگاه‌ها...', 'info');
 
     try {
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      if (!tab || !tab.url) {
-        throw new Error('امکان دسترسی به تب فعال وجود ندارد');
-      }
+      // The background worker runs the search; it also shows the overlay
+      // if the active tab is on express.snapp.market
+      const response = await chrome.runtime.sendMessage({
+        type: 'FIND_STORES_FOR_LIST',
+        items: products,
+        options: getSearchOptions()
+      });
 
-      // Check if tab is on express.snapp.market
-      if (!tab.url.startsWith('https://express.snapp.market')) {
-        setStatus('لطفاً ابتدا https://express.snapp.market را باز کنید، سپس دوباره تلاش کنید.', 'error');
-        findStoresBtn.disabled = false;
+      if (requestId !== searchRequestId) {
         return;
       }
 
-      // Show searching status
-      setStatus('در حال جستجوی فروشگاه‌ها...', 'info');
-
-      // Send message to content script
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        type: 'FIND_STORES_FOR_LIST',
-        items: products
-      });
-
       // Handle response
-      if (response && response.ok) {
-        const count = response.result ? response.result.length : 0;
-        if (count > 0) {
-          setStatus(`${count} فروشگاه پیدا شد! نتایج در صفحه نمایش داده شده است.`, 'success');
+      if (response && response.cancelled) {
+        resultsContainer.hidden = true;
+        setStatus(response.error, 'info');
+      } else if (response && response.ok) {
+        const { vendors = [], splitPlan = null, failedItems = [] } = response.result || {};
+        const count = vendors.filter(vendor => vendor.missingItems.length === 0).length;
+        const partialCount = vendors.length - count;
+        const whereShown = response.shownInTab ? 'نتایج در صفحه نمایش داده شده است.' : 'نتایج در پایین نمایش داده شده است.';
+        if (count > 0 && failedItems.length > 0) {
+          setStatus(`${count} فروشگاه پیدا شد، اما ${failedItems.length} محصول بررسی نشد. ${whereShown}`, 'warning');
+        } else if (count > 0) {
+          setStatus(`${count} فروشگاه پیدا شد! ${whereShown}`, 'success');
+        } else if (splitPlan) {
+          setStatus(`هیچ فروشگاهی همه محصولات را ندارد، اما می‌توانید سفارش را بین ${splitPlan.stores.length} فروشگاه تقسیم کنید.`, 'warning');
+        } else if (partialCount > 0) {
+          setStatus(`هیچ فروشگاهی همه محصولات را ندارد، اما ${partialCount} فروشگاه بیشتر آن‌ها را دارد.`, 'warning');
         } else {
           setStatus('هیچ فروشگاهی پیدا نشد که همه محصولات لیست شما را داشته باشد.', 'warning');
         }
-        // Close popup after showing results
-        setTimeout(() => {
-          window.close();
-        }, 500);
+        
+        if (response.shownInTab) {
+          // Close popup after showing results in the page
+          setTimeout(() => {
+            window.close();
+          }, 500);
+        } else {
+          injectResultsStyles();
+          resultsContainer.hidden = false;
+          renderResultsView(resultsContainer, response.result);
+        }
       } else {
+        resultsContainer.hidden = true;
         const errorMsg = response?.error || 'خطای نامشخص رخ داد';
         setStatus(`خطا: ${errorMsg}`, 'error');
       }
     } catch (error) {
       console.error('Error in handleFindStores:', error);
-      setStatus(`خطا: ${error.message}`, 'error');
-    } finally {
-      findStoresBtn.disabled = false;
+      if (requestId === searchRequestId) {
+        resultsContainer.hidden = true;
+        setStatus(`خطا: ${error.message}`, 'error');
+      }
     }
   }
 });
@@ -0,0 +1,1772 @@
+// Results view for Snapp Express Basket Helper
+// Renders store cards for a search result; used by the overlay on
+// express.snapp.market and by the popup when no Snapp Express tab is active
+
+const RESULTS_ROOT_CLASS = 'snapp-basket-helper-results';
+const RESULTS_STYLE_ID = `${RESULTS_ROOT_CLASS}-style`;
+
+// The view currently on screen, kept so pins can re-rank it in place
+let currentResultsView = null;
+
+// Price history of the products in the results on screen, keyed like the stored history
+let shownPriceHistory = {};
+
+const SPARKLINE_WIDTH = 48;
+const SPARKLINE_HEIGHT = 14;
+
+// Id of the newest search whose progress was shown; progress of older searches is ignored
+let latestProgressSearchId = 0;
+
+const ITEM_PROGRESS_LABELS = {
+  queued: 'در صف',
+  searching: 'در حال جستجو...',
+  failed: 'ناموفق'
+};
+
+// Sort and filters chosen in the results header; kept across searches
+const overlayViewState = {
+  sortBy: 'total',
+  minRating: 0,
+  maxDeliveryTime: null,
+  freeDeliveryOnly: false,
+  openNowOnly: false
+};
+
+function formatPrice(amount) {
+  if (amount === null || amount === undefined) {
+    return 'نامشخص';
+  }
+  return amount.toLocaleString('fa-IR') + ' تومان';
+}
+
+function formatDeliveryFee(fee) {
+  if (fee === 0) {
+    return 'رایگان';
+  }
+  return formatPrice(fee);
+}
+
+function formatRating(rating) {
+  if (rating === null || rating === undefined) {
+    return 'نامشخص';
+  }
+  return rating.toFixed(1);
+}
+
+function getProductImage(product) {
+  if (!product || !product.images || !Array.isArray(product.images) || product.images.length === 0) {
+    return null;
+  }
+  const firstImage = product.images[0];
+  return firstImage.thumb || firstImage.main || null;
+}
+
+function getProductUrl(vendorCode, product) {
+  if (!vendorCode || !product || product.id == null) {
+    return null;
+  }
+  return `https://express.snapp.market/supermarket/m/${vendorCode}/product/${product.id}`;
+}
+
+function formatSize(size) {
+  if (!size) {
+    return 'نامشخص';
+  }
+  if (size.amount >= 1000) {
+    const unit = size.dimension === 'weight' ? 'کیلوگرم' : 'لیتر';
+    return `${(size.amount / 1000).toLocaleString('fa-IR')} ${unit}`;
+  }
+  const unit = size.dimension === 'weight' ? 'گرم' : 'میلی‌لیتر';
+  return `${size.amount.toLocaleString('fa-IR')} ${unit}`;
+}
+
+function formatStock(product) {
+  if (typeof product.stock !== 'number') {
+    return 'نامشخص';
+  }
+  if (product.stock <= 0) {
+    return 'ناموجود';
+  }
+  if (product.stock <= 5) {
+    return `فقط ${product.stock.toLocaleString('fa-IR')} عدد`;
+  }
+  return 'موجود';
+}
+
+// Label/value pairs shown in a product's tooltip and expanded details
+function getProductDetails(product) {
+  if (!product) {
+    return [];
+  }
+
+  const details = [
+    { label: 'نام', value: product.title || 'نامشخص' },
+    { label: 'اندازه', value: formatSize(parseSize(product.title)) },
+    { label: 'قیمت', value: formatPrice(getProductUnitPrice(product)) }
+  ];
+
+  if (typeof product.discount === 'number' && product.discount > 0) {
+    const ratio = typeof product.discountRatio === 'number'
+      ? ` (${product.discountRatio.toLocaleString('fa-IR')}٪)`
+      : '';
+    details.push({ label: 'تخفیف', value: `${formatPrice(product.discount)}${ratio}، قیمت اصلی ${formatPrice(product.price)}` });
+  }
+
+  details.push({ label: 'موجودی', value: formatStock(product) });
+  return details;
+}
+
+function createProductDetails(product) {
+  const detailsEl = document.createElement('div');
+  detailsEl.className = 'product-details';
+  detailsEl.hidden = true;
+
+  getProductDetails(product).forEach(({ label, value }) => {
+    detailsEl.appendChild(createTotalRow(label, value));
+  });
+
+  return detailsEl;
+}
+
+function getLinePriceHistory(vendor, product) {
+  return product ? shownPriceHistory[getPriceHistoryKey(vendor.vendorId, product.id)] || [] : [];
+}
+
+// Tiny line chart of a product's daily unit prices at one store, oldest on the left
+function createPriceSparkline(entries) {
+  const prices = entries.map(entry => getProductUnitPrice(entry)).filter(price => price !== null);
+  if (prices.length < 2) {
+    return null;
+  }
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const range = max - min || 1;
+  const points = prices.map((price, index) => {
+    const x = (index / (prices.length - 1)) * SPARKLINE_WIDTH;
+    const y = SPARKLINE_HEIGHT - 1 - ((price - min) / range) * (SPARKLINE_HEIGHT - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('class', 'price-sparkline');
+  svg.setAttribute('width', SPARKLINE_WIDTH);
+  svg.setAttribute('height', SPARKLINE_HEIGHT);
+  svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+
+  const title = document.createElementNS(svgNs, 'title');
+  const usualPrice = getUsualPrice(entries);
+  title.textContent = [
+    `${prices.length.toLocaleString('fa-IR')} روز`,
+    `کمترین: ${formatPrice(min)}`,
+    `بیشترین: ${formatPrice(max)}`,
+    usualPrice !== null ? `معمول: ${formatPrice(usualPrice)}` : null
+  ].filter(Boolean).join('\n');
+  svg.appendChild(title);
+
+  const polyline = document.createElementNS(svgNs, 'polyline');
+  polyline.setAttribute('points', points);
+  svg.appendChild(polyline);
+
+  return svg;
+}
+
+// Unit price compared with the product's usual price at this store; negative is cheaper
+function getPriceDifferenceFromUsual(vendor, line) {
+  const usualPrice = getUsualPrice(getLinePriceHistory(vendor, line.product));
+  if (usualPrice === null || line.unitPrice === null) {
+    return null;
+  }
+  return line.unitPrice - usualPrice;
+}
+
+function createBasketLines(vendor) {
+  const linesEl = document.createElement('div');
+  linesEl.className = 'basket-lines';
+
+  vendor.matchedProducts.forEach(line => {
+    const { name, quantity, product, alternatives, alternative, candidates, pinned, linePrice } = line;
+    const lineEl = document.createElement('div');
+    lineEl.className = 'basket-line';
+
+    const nameSpan = document.createElement('span');
+    const productTitle = product?.title || name;
+    const productUrl = getProductUrl(vendor.code, product);
+    if (productUrl) {
+      const productLink = document.createElement('a');
+      productLink.className = 'product-link';
+      productLink.href = productUrl;
+      productLink.target = '_blank';
+      productLink.textContent = productTitle;
+      nameSpan.append(pinned ? '📌 ' : '', productLink, ` × ${quantity.toLocaleString('fa-IR')}`);
+    } else {
+      nameSpan.textContent = `${pinned ? '📌 ' : ''}${productTitle} × ${quantity.toLocaleString('fa-IR')}`;
+    }
+
+    // Say which of the item's alternatives this store matched
+    if (alternatives.length > 1) {
+      const alternativeSpan = document.createElement('span');
+      alternativeSpan.className = 'matched-alternative';
+      alternativeSpan.textContent = ` (${alternative})`;
+      nameSpan.appendChild(alternativeSpan);
+    }
+
+    const priceSpan = document.createElement('span');
+    priceSpan.className = 'line-price';
+    const sparkline = createPriceSparkline(getLinePriceHistory(vendor, product));
+    if (sparkline) {
+      priceSpan.appendChild(sparkline);
+    }
+    const difference = getPriceDifferenceFromUsual(vendor, line);
+    if (difference !== null && difference < 0) {
+      const dealSpan = document.createElement('span');
+      dealSpan.className = 'price-deal';
+      dealSpan.textContent = '↓';
+      dealSpan.title = `${formatPrice(-difference)} ارزان‌تر از قیمت معمول`;
+      priceSpan.appendChild(dealSpan);
+    }
+    priceSpan.append(formatPrice(linePrice));
+
+    const detailsEl = createProductDetails(product);
+
+    const detailsToggle = document.createElement('button');
+    detailsToggle.className = 'details-toggle';
+    detailsToggle.type = 'button';
+    detailsToggle.textContent = '▾';
+    detailsToggle.title = 'جزئیات محصول';
+    detailsToggle.addEventListener('click', () => {
+      detailsEl.hidden = !detailsEl.hidden;
+      detailsToggle.textContent = detailsEl.hidden ? '▾' : '▴';
+    });
+    nameSpan.appendChild(detailsToggle);
+
+    lineEl.appendChild(nameSpan);
+    lineEl.appendChild(priceSpan);
+    linesEl.appendChild(lineEl);
+    linesEl.appendChild(detailsEl);
+
+    if (candidates.length > 1) {
+      linesEl.appendChild(createCandidateSelect(line));
+    }
+  });
+
+  return linesEl;
+}
+
+// Lets the user pick which of the store's products counts as the match for an item
+function createCandidateSelect({ name, alternatives, alternative, offers, product, pinned }) {
+  const select = document.createElement('select');
+  select.className = 'candidate-select';
+  select.title = `انتخاب محصول برای «${name}»`;
+
+  const autoOption = document.createElement('option');
+  autoOption.value = '';
+  autoOption.textContent = 'انتخاب خودکار (اولین نتیجه)';
+  select.appendChild(autoOption);
+
+  offers.forEach((offer, offerIndex) => {
+    // Group products by alternative when the item has more than one
+    let parent = select;
+    if (offers.length > 1) {
+      parent = document.createElement('optgroup');
+      parent.label = offer.alternative;
+      select.appendChild(parent);
+    }
+
+    offer.candidates.forEach((candidate, candidateIndex) => {
+      const option = document.createElement('option');
+      option.value = `${offerIndex}:${candidateIndex}`;
+      option.textContent = `${candidate.title || offer.alternative} - ${formatPrice(getProductUnitPrice(candidate))}`;
+      // Results arrive through messaging, so the line's product is a copy; match it by id
+      if (pinned && offer.alternative === alternative && String(candidate.id) === String(product.id)) {
+        option.selected = true;
+      }
+      parent.appendChild(option);
+    });
+  });
+
+  if (!pinned) {
+    select.value = '';
+  }
+
+  select.addEventListener('change', () => {
+    if (select.value === '') {
+      handlePinChange(alternatives, null);
+      return;
+    }
+    const [offerIndex, candidateIndex] = select.value.split(':').map(index => parseInt(index, 10));
+    const offer = offers[offerIndex];
+    handlePinChange(alternatives, { alternative: offer.alternative, product: offer.candidates[candidateIndex] });
+  });
+
+  return select;
+}
+
+async function handlePinChange(alternatives, chosen) {
+  if (!currentResultsView) {
+    return;
+  }
+
+  try {
+    const pins = await saveProductPin(alternatives, chosen);
+    const { root, results, options } = currentResultsView;
+
+    applyPinsToVendors(results.vendors, pins);
+    if (results.splitPlan) {
+      results.splitPlan.stores.forEach(store => {
+        store.matchedProducts = store.matchedProducts.map(line => buildMatchedLine(line, line.offers, pins));
+        updateVendorTotals(store);
+      });
+      updateSplitPlanTotals(results.splitPlan);
+    }
+
+    const scrollTop = root.scrollTop;
+    renderResultsView(root, results, options);
+    root.scrollTop = scrollTop;
+  } catch (error) {
+    console.error('Error saving product pin:', error);
+  }
+}
+
+function createTotalRow(label, value, className) {
+  const rowEl = document.createElement('div');
+  rowEl.className = className ? `basket-total-row ${className}` : 'basket-total-row';
+
+  const labelSpan = document.createElement('span');
+  labelSpan.textContent = label;
+
+  const valueSpan = document.createElement('span');
+  valueSpan.textContent = value;
+
+  rowEl.appendChild(labelSpan);
+  rowEl.appendChild(valueSpan);
+  return rowEl;
+}
+
+function createBasketTotals(vendor) {
+  const totalsEl = document.createElement('div');
+  totalsEl.className = 'basket-totals';
+
+  const rows = [
+    { label: 'جمع سبد', value: formatPrice(vendor.subtotal) },
+    { label: 'هزینه ارسال', value: formatDeliveryFee(vendor.deliveryFee) },
+    { label: 'مبلغ کل', value: formatPrice(vendor.grandTotal), className: 'basket-grand-total' }
+  ];
+
+  // How this basket compares with the usual prices of its products, where they are known
+  const differences = vendor.matchedProducts
+    .map(line => ({ line, difference: getPriceDifferenceFromUsual(vendor, line) }))
+    .filter(({ difference }) => difference !== null);
+  if (differences.length > 0) {
+    const saving = -differences.reduce((sum, { line, difference }) => sum + difference * line.quantity, 0);
+    rows.push({
+      label: 'نسبت به قیمت‌های معمول',
+      value: saving >= 0 ? `${formatPrice(saving)} ارزان‌تر` : `${formatPrice(-saving)} گران‌تر`,
+      className: saving >= 0 ? 'basket-saving' : 'basket-extra'
+    });
+  }
+
+  rows.forEach(({ label, value, className }) => {
+    totalsEl.appendChild(createTotalRow(label, value, className));
+  });
+
+  if (vendor.hasUnknownPrices) {
+    const noteEl = document.createElement('div');
+    noteEl.className = 'vendor-info';
+    noteEl.textContent = 'قیمت برخی محصولات مشخص نیست و در جمع لحاظ نشده است.';
+    totalsEl.appendChild(noteEl);
+  }
+
+  return totalsEl;
+}
+
+function createAddToCartControls(vendor) {
+  const container = document.createElement('div');
+  container.className = 'cart-controls';
+
+  const addAllBtn = document.createElement('button');
+  addAllBtn.className = 'add-to-cart-btn';
+  addAllBtn.type = 'button';
+  addAllBtn.textContent = 'افزودن همه به سبد خرید';
+
+  const resultEl = document.createElement('div');
+  resultEl.className = 'cart-result';
+
+  addAllBtn.addEventListener('click', async () => {
+    addAllBtn.disabled = true;
+    addAllBtn.textContent = 'در حال افزودن...';
+    resultEl.textContent = '';
+    resultEl.className = 'cart-result';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ADD_BASKET_TO_CART',
+        vendor: {
+          code: vendor.code,
+          matchedProducts: vendor.matchedProducts.map(({ name, quantity, product }) => ({ name, quantity, product }))
+        }
+      });
+      if (!response || !response.ok) {
+        throw new Error(response?.error || 'خطای نامشخص رخ داد');
+      }
+      const { added, failed } = response.result;
+
+      if (failed.length === 0) {
+        resultEl.textContent = `${added.length.toLocaleString('fa-IR')} محصول به سبد خرید اضافه شد.`;
+        resultEl.classList.add('success');
+      } else {
+        const failedText = failed.map(({ name, error }) => `${name} (${error})`).join('، ');
+        resultEl.textContent = `${added.length.toLocaleString('fa-IR')} محصول اضافه شد. افزودن ناموفق: ${failedText}`;
+        resultEl.classList.add('error');
+      }
+    } catch (error) {
+      resultEl.textContent = `خطا: ${error.message}`;
+      resultEl.classList.add('error');
+    } finally {
+      addAllBtn.disabled = false;
+      addAllBtn.textContent = 'افزودن همه به سبد خرید';
+    }
+  });
+
+  container.appendChild(addAllBtn);
+  container.appendChild(resultEl);
+  return container;
+}
+
+function getVendorUrl(vendor) {
+  return vendor.code ? `https://express.snapp.market/supermarket/m/${vendor.code}` : null;
+}
+
+// Plain-text basket of one store, to paste into a chat for whoever places the order
+function formatBasketSummary(vendor) {
+  const lines = [`🛒 سبد خرید از «${vendor.title}»`];
+  if (vendor.address) {
+    lines.push(`📍 ${vendor.address}`);
+  }
+  lines.push('');
+
+  vendor.matchedProducts.forEach(({ name, quantity, product, linePrice }, index) => {
+    lines.push(`${(index + 1).toLocaleString('fa-IR')}. ${product?.title || name} × ${quantity.toLocaleString('fa-IR')} — ${formatPrice(linePrice)}`);
+  });
+
+  lines.push('');
+  lines.push(`جمع سبد: ${formatPrice(vendor.subtotal)}`);
+  lines.push(`هزینه ارسال: ${formatDeliveryFee(vendor.deliveryFee)}`);
+  lines.push(`مبلغ کل: ${formatPrice(vendor.grandTotal)}`);
+  if (vendor.missingItems.length > 0) {
+    lines.push(`ناموجود در این فروشگاه: ${vendor.missingItems.join('، ')}`);
+  }
+
+  const vendorUrl = getVendorUrl(vendor);
+  if (vendorUrl) {
+    lines.push(vendorUrl);
+  }
+  return lines.join('\n');
+}
+
+function createCopySummaryButton(vendor) {
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'copy-summary-btn';
+  copyBtn.type = 'button';
+  copyBtn.textContent = 'کپی خلاصه سبد';
+  copyBtn.title = 'کپی فهرست محصولات و مبلغ این فروشگاه برای ارسال';
+
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(formatBasketSummary(vendor));
+      copyBtn.textContent = 'کپی شد ✓';
+    } catch (error) {
+      console.error('Error copying basket summary:', error);
+      copyBtn.textContent = 'کپی نشد';
+    }
+    setTimeout(() => {
+      copyBtn.textContent = 'کپی خلاصه سبد';
+    }, 2000);
+  });
+
+  return copyBtn;
+}
+
+function createVendorBadges(vendor) {
+  const badges = document.createElement('div');
+  badges.className = 'vendor-badges';
+
+  const addBadge = (text, className) => {
+    const badge = document.createElement('span');
+    badge.className = `vendor-badge ${className}`;
+    badge.textContent = text;
+    badges.appendChild(badge);
+  };
+
+  if (vendor.isOpen === false) {
+    addBadge(vendor.nextOpeningTime ? `بسته - بازگشایی ${vendor.nextOpeningTime}` : 'بسته', 'badge-closed');
+  } else if (vendor.isOpen === true) {
+    addBadge('باز', 'badge-open');
+  }
+  if (vendor.isPro) {
+    addBadge('PRO', 'badge-pro');
+  }
+  if (vendor.hasFreeDelivery) {
+    addBadge('ارسال رایگان', 'badge-free-delivery');
+  }
+  if (vendor.discountPercent) {
+    addBadge(`تا ${vendor.discountPercent.toLocaleString('fa-IR')}٪ تخفیف`, 'badge-discount');
+  }
+
+  return badges;
+}
+
+function createVendorCard(vendor) {
+  const card = document.createElement('div');
+  card.className = vendor.isOpen === false ? 'vendor-card closed' : 'vendor-card';
+  
+  const vendorHeader = document.createElement('div');
+  vendorHeader.className = 'vendor-header';
+  
+  if (vendor.featured) {
+    const iconImg = document.createElement('img');
+    iconImg.className = 'vendor-icon';
+    iconImg.src = vendor.featured;
+    iconImg.alt = vendor.title;
+    iconImg.onerror = function() {
+      this.style.display = 'none';
+    };
+    vendorHeader.appendChild(iconImg);
+  }
+  
+  const headerText = document.createElement('div');
+  headerText.className = 'vendor-header-text';
+  
+  const titleEl = document.createElement('div');
+  titleEl.className = 'vendor-title';
+  if (vendor.code) {
+    const titleLink = document.createElement('a');
+    titleLink.className = 'vendor-title-link';
+    titleLink.href = getVendorUrl(vendor);
+    titleLink.target = '_blank';
+    titleLink.textContent = vendor.title;
+    titleEl.appendChild(titleLink);
+  } else {
+    titleEl.textContent = vendor.title;
+  }
+  
+  headerText.appendChild(titleEl);
+  
+  const badges = createVendorBadges(vendor);
+  if (badges.children.length > 0) {
+    headerText.appendChild(badges);
+  }
+  
+  vendorHeader.appendChild(headerText);
+  card.appendChild(vendorHeader);
+  
+  const addressEl = document.createElement('div');
+  addressEl.className = 'vendor-info';
+  addressEl.textContent = vendor.address;
+  card.appendChild(addressEl);
+  
+  const detailsEl = document.createElement('div');
+  detailsEl.className = 'vendor-details';
+  
+  if (vendor.rating !== null) {
+    const ratingSpan = document.createElement('span');
+    ratingSpan.textContent = `⭐ ${formatRating(vendor.rating)}`;
+    detailsEl.appendChild(ratingSpan);
+  }
+  
+  const feeSpan = document.createElement('span');
+  feeSpan.textContent = `💰 ${formatDeliveryFee(vendor.deliveryFee)}`;
+  detailsEl.appendChild(feeSpan);
+  
+  if (vendor.deliveryTime !== null) {
+    const timeSpan = document.createElement('span');
+    timeSpan.textContent = `⏱️ ${vendor.deliveryTime} دقیقه`;
+    detailsEl.appendChild(timeSpan);
+  }
+  
+  card.appendChild(detailsEl);
+  
+  const productImagesContainer = document.createElement('div');
+  productImagesContainer.className = 'product-images';
+  
+  vendor.matchedProducts.forEach(({ name, product }) => {
+    const imageUrl = getProductImage(product);
+    if (imageUrl) {
+      const productImg = document.createElement('img');
+      productImg.className = 'product-image';
+      productImg.src = imageUrl;
+      productImg.alt = name;
+      productImg.title = getProductDetails(product)
+        .map(({ label, value }) => `${label}: ${value}`)
+        .join('\n');
+      productImg.onerror = function() {
+        this.style.display = 'none';
+      };
+      
+      const productUrl = getProductUrl(vendor.code, product);
+      if (productUrl) {
+        const productLink = document.createElement('a');
+        productLink.href = productUrl;
+        productLink.target = '_blank';
+        productLink.appendChild(productImg);
+        productImagesContainer.appendChild(productLink);
+      } else {
+        productImagesContainer.appendChild(productImg);
+      }
+    }
+  });
+  
+  if (productImagesContainer.children.length > 0) {
+    card.appendChild(productImagesContainer);
+  }
+  
+  card.appendChild(createBasketLines(vendor));
+  card.appendChild(createBasketTotals(vendor));
+  
+  if (vendor.missingItems.length > 0) {
+    const missingEl = document.createElement('div');
+    missingEl.className = 'missing-items';
+    missingEl.textContent = `ناموجود: ${vendor.missingItems.join('، ')}`;
+    card.appendChild(missingEl);
+  }
+  
+  card.appendChild(createCopySummaryButton(vendor));
+  
+  if (vendor.code) {
+    card.appendChild(createAddToCartControls(vendor));
+  }
+  
+  return card;
+}
+
+function parseDeliveryMinutes(deliveryTime) {
+  const minutes = parseInt(toLatinDigits(deliveryTime ?? ''), 10);
+  return Number.isFinite(minutes) ? minutes : null;
+}
+
+const VENDOR_SORTS = {
+  total: (a, b) => {
+    if (a.hasUnknownPrices !== b.hasUnknownPrices) {
+      return a.hasUnknownPrices ? 1 : -1;
+    }
+    return a.grandTotal - b.grandTotal;
+  },
+  rating: (a, b) => (b.rating ?? -Infinity) - (a.rating ?? -Infinity),
+  deliveryTime: (a, b) =>
+    (parseDeliveryMinutes(a.deliveryTime) ?? Infinity) - (parseDeliveryMinutes(b.deliveryTime) ?? Infinity),
+  deliveryFee: (a, b) => (a.deliveryFee ?? Infinity) - (b.deliveryFee ?? Infinity)
+};
+
+// Filters and sorts a copy of the results; partial matches stay ranked by coverage first
+function applyOverlayView(vendors) {
+  const { sortBy, minRating, maxDeliveryTime, freeDeliveryOnly, openNowOnly } = overlayViewState;
+  const compare = VENDOR_SORTS[sortBy] || VENDOR_SORTS.total;
+
+  return vendors
+    .filter(vendor => {
+      if (minRating > 0 && (vendor.rating === null || vendor.rating < minRating)) {
+        return false;
+      }
+      if (maxDeliveryTime !== null) {
+        const minutes = parseDeliveryMinutes(vendor.deliveryTime);
+        if (minutes === null || minutes > maxDeliveryTime) {
+          return false;
+        }
+      }
+      if (freeDeliveryOnly && vendor.deliveryFee !== 0) {
+        return false;
+      }
+      if (openNowOnly && vendor.isOpen === false) {
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => {
+      if (a.missingItems.length !== b.missingItems.length) {
+        return a.missingItems.length - b.missingItems.length;
+      }
+      return compare(a, b) || 0;
+    });
+}
+
+function createControlSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'overlay-control';
+
+  options.forEach(({ value: optionValue, label }) => {
+    const option = document.createElement('option');
+    option.value = String(optionValue);
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  select.value = String(value);
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createControlCheckbox(label, checked, onChange) {
+  const labelEl = document.createElement('label');
+  labelEl.className = 'overlay-control-checkbox';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = checked;
+  checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+  labelEl.appendChild(checkbox);
+  labelEl.appendChild(document.createTextNode(label));
+  return labelEl;
+}
+
+// Sort and filter controls; they only touch overlayViewState and call rerender
+function createOverlayControls(rerender) {
+  const controls = document.createElement('div');
+  controls.className = 'overlay-controls';
+
+  const update = (changes) => {
+    Object.assign(overlayViewState, changes);
+    rerender();
+  };
+
+  controls.appendChild(createControlSelect([
+    { value: 'total', label: 'مرتب‌سازی: مبلغ کل' },
+    { value: 'rating', label: 'مرتب‌سازی: امتیاز' },
+    { value: 'deliveryTime', label: 'مرتب‌سازی: زمان ارسال' },
+    { value: 'deliveryFee', label: 'مرتب‌سازی: هزینه ارسال' }
+  ], overlayViewState.sortBy, value => update({ sortBy: value })));
+
+  controls.appendChild(createControlSelect([
+    { value: 0, label: 'همه امتیازها' },
+    { value: 3, label: 'امتیاز ۳ به بالا' },
+    { value: 3.5, label: 'امتیاز ۳٫۵ به بالا' },
+    { value: 4, label: 'امتیاز ۴ به بالا' },
+    { value: 4.5, label: 'امتیاز ۴٫۵ به بالا' }
+  ], overlayViewState.minRating, value => update({ minRating: parseFloat(value) })));
+
+  controls.appendChild(createControlSelect([
+    { value: '', label: 'هر زمان ارسالی' },
+    { value: 30, label: 'حداکثر ۳۰ دقیقه' },
+    { value: 45, label: 'حداکثر ۴۵ دقیقه' },
+    { value: 60, label: 'حداکثر ۶۰ دقیقه' },
+    { value: 90, label: 'حداکثر ۹۰ دقیقه' }
+  ], overlayViewState.maxDeliveryTime ?? '', value => update({
+    maxDeliveryTime: value === '' ? null : parseInt(value, 10)
+  })));
+
+  controls.appendChild(createControlCheckbox('فقط ارسال رایگان', overlayViewState.freeDeliveryOnly,
+    checked => update({ freeDeliveryOnly: checked })));
+
+  controls.appendChild(createControlCheckbox('فقط فروشگاه‌های باز', overlayViewState.openNowOnly,
+    checked => update({ openNowOnly: checked })));
+
+  return controls;
+}
+
+function createSplitPlanSection(splitPlan) {
+  const section = document.createElement('div');
+  section.className = 'split-plan';
+
+  const sectionTitle = document.createElement('div');
+  sectionTitle.className = 'section-title split-plan-title';
+  sectionTitle.textContent = `ارزان‌ترین ترکیب از ${splitPlan.stores.length.toLocaleString('fa-IR')} فروشگاه`;
+  section.appendChild(sectionTitle);
+
+  const summary = document.createElement('div');
+  summary.className = 'basket-totals split-plan-summary';
+  [
+    { label: 'جمع محصولات', value: formatPrice(splitPlan.subtotal) },
+    { label: 'مجموع هزینه‌های ارسال', value: formatPrice(splitPlan.deliveryFees) },
+    { label: 'مبلغ کل', value: formatPrice(splitPlan.grandTotal), className: 'basket-grand-total' }
+  ].forEach(({ label, value, className }) => {
+    summary.appendChild(createTotalRow(label, value, className));
+  });
+  section.appendChild(summary);
+
+  splitPlan.stores.forEach((store, index) => {
+    const stepEl = document.createElement('div');
+    stepEl.className = 'split-plan-step';
+    const itemNames = store.matchedProducts.map(({ name }) => name).join('، ');
+    stepEl.textContent = index === 0
+      ? `این محصولات را از «${store.title}» سفارش دهید: ${itemNames}`
+      : `و این‌ها را از «${store.title}»: ${itemNames}`;
+    section.appendChild(stepEl);
+    section.appendChild(createVendorCard(store));
+  });
+
+  return section;
+}
+
+// Items whose search requests failed were left out of the results; offer to search just those again
+function createFailedItemsNotice(results, root, options) {
+  const notice = document.createElement('div');
+  notice.className = 'failed-items';
+
+  const text = document.createElement('div');
+  text.textContent = `این محصولات بررسی نشدند و در نتایج لحاظ نشده‌اند: ${results.failedItems.join('، ')}`;
+  notice.appendChild(text);
+
+  const retryBtn = document.createElement('button');
+  retryBtn.className = 'retry-btn';
+  retryBtn.type = 'button';
+  retryBtn.textContent = 'تلاش دوباره';
+
+  const resultEl = document.createElement('div');
+  resultEl.className = 'cart-result error';
+
+  retryBtn.addEventListener('click', async () => {
+    retryBtn.disabled = true;
+    retryBtn.textContent = 'در حال جستجو...';
+    resultEl.textContent = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'RETRY_FAILED_ITEMS',
+        searchId: results.searchId,
+        items: results.items,
+        options: results.options
+      });
+      if (!response || !response.ok) {
+        throw new Error(response?.error || 'خطای نامشخص رخ داد');
+      }
+      renderResultsView(root, response.result, options);
+    } catch (error) {
+      resultEl.textContent = `خطا: ${error.message}`;
+      retryBtn.disabled = false;
+      retryBtn.textContent = 'تلاش دوباره';
+    }
+  });
+
+  notice.appendChild(retryBtn);
+  notice.appendChild(resultEl);
+  return notice;
+}
+
+const RESULTS_CSV_HEADER = [
+  'فروشگاه', 'آدرس', 'امتیاز', 'هزینه ارسال', 'زمان ارسال (دقیقه)',
+  'محصول لیست', 'تعداد', 'محصول انتخاب‌شده', 'قیمت واحد', 'قیمت ردیف', 'مبلغ کل سبد', 'لینک محصول'
+];
+
+// One row per store and list item; an item the store doesn't carry gets a row with no product
+function getResultsCsvRows(vendors) {
+  const rows = [];
+
+  vendors.forEach(vendor => {
+    const storeFields = [
+      vendor.title,
+      vendor.address,
+      vendor.rating ?? '',
+      vendor.deliveryFee ?? '',
+      parseDeliveryMinutes(vendor.deliveryTime) ?? ''
+    ];
+
+    vendor.matchedProducts.forEach(({ name, quantity, product, unitPrice, linePrice }) => {
+      rows.push([
+        ...storeFields,
+        name,
+        quantity,
+        product?.title || '',
+        unitPrice ?? '',
+        linePrice ?? '',
+        vendor.grandTotal,
+        getProductUrl(vendor.code, product) || ''
+      ]);
+    });
+
+    vendor.missingItems.forEach(name => {
+      rows.push([...storeFields, name, '', 'ناموجود', '', '', vendor.grandTotal, '']);
+    });
+  });
+
+  return [RESULTS_CSV_HEADER, ...rows];
+}
+
+// Results without the per-product candidate lists, which are only needed to re-pin
+function getResultsExport(results, vendors) {
+  const exportVendor = vendor => ({
+    title: vendor.title,
+    code: vendor.code,
+    url: getVendorUrl(vendor),
+    address: vendor.address,
+    rating: vendor.rating,
+    deliveryFee: vendor.deliveryFee,
+    deliveryTime: vendor.deliveryTime,
+    isOpen: vendor.isOpen,
+    subtotal: vendor.subtotal,
+    grandTotal: vendor.grandTotal,
+    hasUnknownPrices: vendor.hasUnknownPrices,
+    missingItems: vendor.missingItems,
+    lines: vendor.matchedProducts.map(({ name, quantity, alternative, product, pinned, unitPrice, linePrice }) => ({
+      item: name,
+      quantity: quantity,
+      alternative: alternative,
+      product: product ? { id: product.id, title: product.title, url: getProductUrl(vendor.code, product) } : null,
+      pinned: pinned,
+      unitPrice: unitPrice,
+      linePrice: linePrice
+    }))
+  });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    items: results.items,
+    failedItems: results.failedItems || [],
+    vendors: vendors.map(exportVendor),
+    splitPlan: results.splitPlan ? {
+      subtotal: results.splitPlan.subtotal,
+      deliveryFees: results.splitPlan.deliveryFees,
+      grandTotal: results.splitPlan.grandTotal,
+      stores: results.splitPlan.stores.map(exportVendor)
+    } : null
+  };
+}
+
+// Downloads the stores currently shown, in their on-screen order, as CSV or JSON
+function createExportControls(results) {
+  const controls = document.createElement('div');
+  controls.className = 'export-controls';
+
+  const fileName = `snapp-basket-${getPriceHistoryDate()}`;
+  const addButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'export-btn';
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    controls.appendChild(button);
+  };
+
+  addButton('خروجی CSV', () => {
+    const csv = formatCsv(getResultsCsvRows(applyOverlayView(results.vendors)));
+    downloadTextFile(`${fileName}.csv`, csv, 'text/csv');
+  });
+  addButton('خروجی JSON', () => {
+    const json = JSON.stringify(getResultsExport(results, applyOverlayView(results.vendors)), null, 2);
+    downloadTextFile(`${fileName}.json`, json, 'application/json');
+  });
+
+  return controls;
+}
+
+// Re-renders the store list from already-fetched results using the current sort and filters
+function renderOverlayContent(content, vendors, splitPlan) {
+  content.innerHTML = '';
+  
+  const visibleVendors = applyOverlayView(vendors);
+  const completeVendors = visibleVendors.filter(vendor => vendor.missingItems.length === 0);
+  const partialVendors = visibleVendors.filter(vendor => vendor.missingItems.length > 0);
+  
+  if (visibleVendors.length < vendors.length) {
+    const filterNote = document.createElement('div');
+    filterNote.className = 'filter-note';
+    filterNote.textContent = `${(vendors.length - visibleVendors.length).toLocaleString('fa-IR')} فروشگاه با فیلترهای فعلی پنهان شده است.`;
+    content.appendChild(filterNote);
+  }
+  
+  if (completeVendors.length === 0) {
+    const noResults = document.createElement('div');
+    noResults.className = 'no-results';
+    const hasHiddenCompleteVendors = vendors.some(vendor => vendor.missingItems.length === 0);
+    noResults.textContent = hasHiddenCompleteVendors
+      ? 'هیچ فروشگاهی با فیلترهای انتخاب‌شده همه محصولات را ندارد.'
+      : 'هیچ فروشگاهی همه محصولات لیست شما را ندارد.';
+    content.appendChild(noResults);
+    
+    if (splitPlan) {
+      content.appendChild(createSplitPlanSection(splitPlan));
+    }
+  } else {
+    completeVendors.forEach(vendor => {
+      content.appendChild(createVendorCard(vendor));
+    });
+  }
+  
+  if (partialVendors.length > 0) {
+    const sectionTitle = document.createElement('div');
+    sectionTitle.className = 'section-title';
+    sectionTitle.textContent = 'فروشگاه‌هایی که چند محصول را ندارند';
+    content.appendChild(sectionTitle);
+    
+    partialVendors.forEach(vendor => {
+      content.appendChild(createVendorCard(vendor));
+    });
+  }
+}
+
+const RESULTS_STYLES = `
+  .${RESULTS_ROOT_CLASS} {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+    direction: rtl;
+  }
+  
+  .${RESULTS_ROOT_CLASS}.floating {
+    position: fixed;
+    top: 80px;
+    right: 20px;
+    width: 380px;
+    max-height: 70vh;
+    overflow-y: auto;
+    background-color: white;
+    border: 1px solid #ddd;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    z-index: 10000;
+    padding: 20px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .overlay-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 15px;
+    padding-bottom: 10px;
+    border-bottom: 1px solid #eee;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .overlay-title {
+    font-size: 16px;
+    font-weight: 600;
+    color: #333;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .close-btn {
+    background: none;
+    border: none;
+    font-size: 20px;
+    cursor: pointer;
+    color: #666;
+    padding: 0;
+    width: 24px;
+    height: 24px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 4px;
+    transition: background-color 0.2s;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .close-btn:hover {
+    background-color: #f0f0f0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .overlay-controls {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px 10px;
+    margin-bottom: 12px;
+    font-size: 12px;
+    color: #555;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .overlay-control {
+    padding: 3px 6px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    background-color: white;
+    font-size: 12px;
+    color: #555;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .overlay-control-checkbox {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .filter-note {
+    margin-bottom: 10px;
+    font-size: 12px;
+    color: #888;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .failed-items {
+    padding: 10px;
+    margin-bottom: 12px;
+    border: 1px solid #ffcc80;
+    border-radius: 6px;
+    background-color: #fff8e1;
+    font-size: 13px;
+    color: #8d6e00;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .retry-btn {
+    margin-top: 8px;
+    padding: 6px 12px;
+    background-color: #ff9800;
+    border: none;
+    border-radius: 4px;
+    color: white;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .retry-btn:disabled {
+    background-color: #ccc;
+    cursor: not-allowed;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-items {
+    list-style: none;
+    margin: 0 0 12px;
+    padding: 0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-item {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    padding: 6px 0;
+    border-bottom: 1px solid #f0f0f0;
+    font-size: 13px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-status {
+    color: #888;
+    white-space: nowrap;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-item.searching .progress-status {
+    color: #1976d2;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-item.found .progress-status {
+    color: #2e7d32;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .progress-item.failed .progress-status {
+    color: #d32f2f;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cancel-search-btn {
+    width: 100%;
+    padding: 8px 12px;
+    background-color: #fff;
+    border: 1px solid #d32f2f;
+    border-radius: 4px;
+    color: #d32f2f;
+    font-size: 13px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cancel-search-btn:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .back-btn {
+    padding: 4px 8px;
+    background: none;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    color: #666;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .location-card {
+    padding: 12px;
+    margin-bottom: 12px;
+    border: 1px solid #e0e0e0;
+    border-radius: 6px;
+    background-color: #fafafa;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .location-card .vendor-info.error {
+    color: #d32f2f;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .line-price {
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    white-space: nowrap;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .price-sparkline polyline {
+    fill: none;
+    stroke: #90a4ae;
+    stroke-width: 1.5;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .price-deal {
+    color: #2e7d32;
+    font-weight: 600;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-saving {
+    color: #2e7d32;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-extra {
+    color: #c62828;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-card {
+    padding: 12px;
+    margin-bottom: 12px;
+    border: 1px solid #e0e0e0;
+    border-radius: 6px;
+    background-color: #fafafa;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-card.closed {
+    opacity: 0.55;
+    background-color: #f0f0f0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-header {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-bottom: 8px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-icon {
+    width: 50px;
+    height: 50px;
+    border-radius: 6px;
+    object-fit: cover;
+    border: 1px solid #e0e0e0;
+    flex-shrink: 0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-header-text {
+    flex: 1;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-title {
+    font-size: 15px;
+    font-weight: 600;
+    color: #333;
+    margin-bottom: 4px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-title-link {
+    color: #333;
+    text-decoration: none;
+    display: block;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-title-link:hover {
+    color: #4CAF50;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-badges {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-bottom: 4px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-badge {
+    padding: 1px 6px;
+    border-radius: 10px;
+    font-size: 11px;
+    font-weight: 600;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .badge-open {
+    background-color: #e8f5e9;
+    color: #2e7d32;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .badge-closed {
+    background-color: #eeeeee;
+    color: #616161;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .badge-pro {
+    background-color: #ede7f6;
+    color: #5e35b1;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .badge-free-delivery {
+    background-color: #e0f2f1;
+    color: #00796b;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .badge-discount {
+    background-color: #ffebee;
+    color: #c62828;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-info {
+    font-size: 13px;
+    color: #666;
+    margin-bottom: 4px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .vendor-details {
+    display: flex;
+    gap: 12px;
+    margin-top: 8px;
+    font-size: 12px;
+    color: #888;
+    flex-wrap: wrap;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-images {
+    display: flex;
+    gap: 8px;
+    margin-top: 10px;
+    flex-wrap: wrap;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-image {
+    width: 50px;
+    height: 50px;
+    border-radius: 4px;
+    object-fit: cover;
+    border: 1px solid #e0e0e0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-lines {
+    margin-top: 10px;
+    font-size: 12px;
+    color: #555;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-line {
+    display: flex;
+    justify-content: space-between;
+    gap: 8px;
+    padding: 2px 0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-link {
+    color: inherit;
+    text-decoration: none;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-link:hover {
+    color: #4CAF50;
+    text-decoration: underline;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .details-toggle {
+    margin-right: 4px;
+    padding: 0 4px;
+    background: none;
+    border: none;
+    color: #999;
+    font-size: 11px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-details {
+    margin: 2px 0 6px;
+    padding: 6px 8px;
+    border-radius: 4px;
+    background-color: white;
+    border: 1px solid #eee;
+    font-size: 11px;
+    color: #666;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .product-details[hidden] {
+    display: none;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .matched-alternative {
+    color: #999;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .candidate-select {
+    width: 100%;
+    margin: 2px 0 6px;
+    padding: 3px 6px;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    background-color: white;
+    font-size: 11px;
+    color: #555;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-totals {
+    margin-top: 8px;
+    padding-top: 8px;
+    border-top: 1px dashed #ddd;
+    font-size: 12px;
+    color: #555;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-total-row {
+    display: flex;
+    justify-content: space-between;
+    padding: 2px 0;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .basket-grand-total {
+    font-size: 14px;
+    font-weight: 600;
+    color: #2e7d32;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .section-title {
+    font-size: 14px;
+    font-weight: 600;
+    color: #e65100;
+    margin: 16px 0 10px;
+    padding-top: 12px;
+    border-top: 1px solid #eee;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .split-plan-title {
+    color: #1976d2;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .split-plan-summary {
+    margin: 0 0 10px;
+    padding: 8px;
+    border: 1px solid #bbdefb;
+    border-radius: 6px;
+    background-color: #e3f2fd;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .split-plan-step {
+    margin-bottom: 6px;
+    font-size: 13px;
+    font-weight: 600;
+    color: #333;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .missing-items {
+    margin-top: 8px;
+    padding: 6px 8px;
+    border-radius: 4px;
+    background-color: #fff3e0;
+    color: #e65100;
+    font-size: 12px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .export-controls {
+    display: flex;
+    gap: 12px;
+    margin: -4px 0 12px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .export-btn {
+    padding: 0;
+    background: none;
+    border: none;
+    color: #1976d2;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .export-btn:hover {
+    text-decoration: underline;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .copy-summary-btn {
+    width: 100%;
+    margin-top: 10px;
+    padding: 6px 12px;
+    background-color: #fff;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    color: #555;
+    font-size: 12px;
+    cursor: pointer;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .copy-summary-btn:hover {
+    background-color: #f5f5f5;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cart-controls {
+    margin-top: 10px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .add-to-cart-btn {
+    width: 100%;
+    padding: 8px 12px;
+    background-color: #4CAF50;
+    border: none;
+    border-radius: 4px;
+    color: white;
+    font-size: 13px;
+    font-weight: 600;
+    cursor: pointer;
+    transition: background-color 0.2s;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .add-to-cart-btn:hover {
+    background-color: #45a049;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .add-to-cart-btn:disabled {
+    background-color: #ccc;
+    cursor: not-allowed;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cart-result {
+    margin-top: 6px;
+    font-size: 12px;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cart-result.success {
+    color: #2e7d32;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .cart-result.error {
+    color: #c62828;
+  }
+  
+  .${RESULTS_ROOT_CLASS} .no-results {
+    text-align: center;
+    padding: 20px;
+    color: #666;
+    font-size: 14px;
+  }
+`;
+
+// Adds the results stylesheet to the document once and returns it
+function injectResultsStyles() {
+  let style = document.getElementById(RESULTS_STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = RESULTS_STYLE_ID;
+    style.textContent = RESULTS_STYLES;
+    document.head.appendChild(style);
+  }
+  return style;
+}
+
+// Header with the view's title; options.onBack adds a back button and options.onClose a close button
+function createViewHeader(titleText, options) {
+  const header = document.createElement('div');
+  header.className = 'overlay-header';
+  
+  if (options.onBack) {
+    const backBtn = document.createElement('button');
+    backBtn.className = 'back-btn';
+    backBtn.type = 'button';
+    backBtn.textContent = '→ بازگشت';
+    backBtn.addEventListener('click', options.onBack);
+    header.appendChild(backBtn);
+  }
+  
+  const title = document.createElement('div');
+  title.className = 'overlay-title';
+  title.textContent = titleText;
+  header.appendChild(title);
+  
+  if (options.onClose) {
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'close-btn';
+    closeBtn.textContent = '×';
+    closeBtn.title = 'بستن';
+    closeBtn.addEventListener('click', () => {
+      currentResultsView = null;
+      options.onClose();
+    });
+    header.appendChild(closeBtn);
+  }
+
+  return header;
+}
+
+// Shows the per-item state of a running search, with a button to cancel it.
+// Returns false if the progress belongs to a search older than one already shown.
+function renderSearchProgress(root, progress, options = {}) {
+  if (progress.searchId < latestProgressSearchId) {
+    return false;
+  }
+  latestProgressSearchId = progress.searchId;
+  currentResultsView = null;
+
+  root.classList.add(RESULTS_ROOT_CLASS);
+  root.innerHTML = '';
+
+  const titles = {
+    running: 'در حال جستجوی فروشگاه‌ها...',
+    cancelled: 'جستجو لغو شد',
+    failed: 'جستجو ناموفق بود'
+  };
+  root.appendChild(createViewHeader(titles[progress.state], options));
+
+  if (progress.state === 'failed' && progress.error) {
+    const errorEl = document.createElement('div');
+    errorEl.className = 'no-results';
+    errorEl.textContent = `خطا: ${progress.error}`;
+    root.appendChild(errorEl);
+  }
+
+  if (progress.state !== 'running') {
+    return true;
+  }
+
+  if (progress.candidateStores !== null && progress.candidateStores !== undefined) {
+    const candidates = document.createElement('div');
+    candidates.className = 'filter-note';
+    candidates.textContent = `${progress.candidateStores.toLocaleString('fa-IR')} فروشگاه هنوز در رقابت است.`;
+    root.appendChild(candidates);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'progress-items';
+  progress.items.forEach(({ name, status, storeCount }) => {
+    const row = document.createElement('li');
+    row.className = `progress-item ${status}`;
+
+    const nameEl = document.createElement('span');
+    nameEl.textContent = name;
+    row.appendChild(nameEl);
+
+    const statusEl = document.createElement('span');
+    statusEl.className = 'progress-status';
+    statusEl.textContent = status === 'found'
+      ? `در ${storeCount.toLocaleString('fa-IR')} فروشگاه`
+      : ITEM_PROGRESS_LABELS[status];
+    row.appendChild(statusEl);
+
+    list.appendChild(row);
+  });
+  root.appendChild(list);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'cancel-search-btn';
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'لغو جستجو';
+  cancelBtn.addEventListener('click', () => {
+    cancelBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'CANCEL_SEARCH' }).catch(error => {
+      console.error('Error cancelling search:', error);
+      cancelBtn.disabled = false;
+    });
+  });
+  root.appendChild(cancelBtn);
+
+  return true;
+}
+
+// One line per saved address: its cheapest complete store (or split order) and total
+function createLocationCard(entry, isCheapest, onShowStores) {
+  const card = document.createElement('div');
+  card.className = 'location-card';
+
+  const nameEl = document.createElement('div');
+  nameEl.className = 'vendor-title';
+  nameEl.textContent = `📍 ${entry.location.name}`;
+  card.appendChild(nameEl);
+
+  if (isCheapest) {
+    const badges = document.createElement('div');
+    badges.className = 'vendor-badges';
+    const badge = document.createElement('span');
+    badge.className = 'vendor-badge badge-free-delivery';
+    badge.textContent = 'ارزان‌ترین';
+    badges.appendChild(badge);
+    card.appendChild(badges);
+  }
+
+  const summary = document.createElement('div');
+  summary.className = 'vendor-info';
+
+  if (entry.error) {
+    summary.textContent = `خطا: ${entry.error}`;
+    summary.classList.add('error');
+    card.appendChild(summary);
+    return card;
+  }
+
+  const completeVendors = entry.vendors.filter(vendor => vendor.missingItems.length === 0);
+  if (completeVendors.length > 0) {
+    const best = completeVendors[0];
+    summary.textContent = `${completeVendors.length.toLocaleString('fa-IR')} فروشگاه همه محصولات را دارد. ارزان‌ترین: «${best.title}» با ${formatPrice(best.grandTotal)}`;
+  } else if (entry.splitPlan) {
+    summary.textContent = `هیچ فروشگاهی همه محصولات را ندارد؛ تقسیم بین ${entry.splitPlan.stores.length.toLocaleString('fa-IR')} فروشگاه: ${formatPrice(entry.splitPlan.grandTotal)}`;
+  } else {
+    summary.textContent = 'هیچ فروشگاهی همه محصولات را ندارد.';
+  }
+  card.appendChild(summary);
+
+  if (entry.failedItems.length > 0) {
+    const failedEl = document.createElement('div');
+    failedEl.className = 'vendor-info error';
+    failedEl.textContent = `بررسی نشد: ${entry.failedItems.join('، ')}`;
+    card.appendChild(failedEl);
+  }
+
+  if (entry.vendors.length > 0) {
+    const showBtn = document.createElement('button');
+    showBtn.className = 'retry-btn';
+    showBtn.type = 'button';
+    showBtn.textContent = 'نمایش فروشگاه‌ها';
+    showBtn.addEventListener('click', onShowStores);
+    card.appendChild(showBtn);
+  }
+
+  return card;
+}
+
+// Cost of the cheapest way to get the whole list at an address, or null if there is none
+function getLocationBestTotal(entry) {
+  if (entry.error) {
+    return null;
+  }
+  const best = entry.vendors.find(vendor => vendor.missingItems.length === 0);
+  if (best) {
+    return best.grandTotal;
+  }
+  return entry.splitPlan ? entry.splitPlan.grandTotal : null;
+}
+
+// Compares the results of one list at several saved addresses; each address can be
+// opened into its own store cards and back
+function renderLocationComparison(root, comparison, options = {}) {
+  currentResultsView = null;
+
+  root.classList.add(RESULTS_ROOT_CLASS);
+  root.innerHTML = '';
+  root.appendChild(createViewHeader(`مقایسه ${comparison.items.length.toLocaleString('fa-IR')} محصول در ${comparison.locations.length.toLocaleString('fa-IR')} آدرس`, options));
+
+  const totals = comparison.locations.map(getLocationBestTotal);
+  const knownTotals = totals.filter(total => total !== null);
+  const cheapestTotal = knownTotals.length > 1 ? Math.min(...knownTotals) : null;
+
+  comparison.locations.forEach((entry, index) => {
+    const showStores = () => {
+      // Failed items are listed on the comparison card; retrying them needs a search of that address
+      renderResultsView(root, {
+        vendors: entry.vendors,
+        items: entry.items,
+        options: entry.options,
+        splitPlan: entry.splitPlan,
+        priceHistory: entry.priceHistory
+      }, {
+        ...options,
+        onBack: () => renderLocationComparison(root, comparison, options)
+      });
+    };
+    root.appendChild(createLocationCard(entry, totals[index] !== null && totals[index] === cheapestTotal, showStores));
+  });
+}
+
+// Renders results ({ searchId, options, vendors, items, splitPlan, failedItems, priceHistory }) into root.
+// options.onClose adds a close button to the header, options.onBack a back button.
+function renderResultsView(root, results, options = {}) {
+  const { vendors, items, splitPlan = null } = results;
+  currentResultsView = { root, results, options };
+  shownPriceHistory = results.priceHistory || {};
+
+  root.classList.add(RESULTS_ROOT_CLASS);
+  root.innerHTML = '';
+  root.appendChild(createViewHeader(`فروشگاه‌هایی که همه ${items.length} محصول را دارند`, options));
+
+  if (results.failedItems?.length > 0) {
+    root.appendChild(createFailedItemsNotice(results, root, options));
+  }
+
+  const content = document.createElement('div');
+  root.appendChild(createOverlayControls(() => renderOverlayContent(content, vendors, splitPlan)));
+  if (vendors.length > 0) {
+    root.appendChild(createExportControls(results));
+  }
+  renderOverlayContent(content, vendors, splitPlan);
+  
+  root.appendChild(content);
+}